@@ -0,0 +1,205 @@
+/*!
+ * Stand-in zone server for trying ZoneMapViewer live refresh and the editor's REST storage locally (no dependencies):
+ *   node example-live-server.js [port] [--empty]   ->  http://localhost:8080/example-zw-render-live.html
+ * - GET /zones.json      current zones, ETag + Last-Modified, 304 on If-None-Match / If-Modified-Since;
+ *                        404 while nothing is saved (--empty: start without exported_zones.json)
+ * - PUT /zones.json      save a document (ZoneWidget.storage.rest), checked with zw-core validateDocument:
+ *                        204, 400 for broken JSON, 422 + { errors } for an invalid document
+ * - GET /zones/stream    Server-Sent Events: { upsert: [zone] } on every change, the whole document after a PUT
+ * - /zones/ws            WebSocket: the whole document on connect, then the same messages as the SSE stream
+ * - static files from this folder
+ * Every few seconds one zone changes ("dispatcher" edits): its properties.orders and name.
+ */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const core = require("./zw-core.js");
+
+const args = process.argv.slice(2);
+const portArg = args.find(a => /^\d+$/.test(a));
+const PORT = portArg ? Number(portArg) : 8080; // 0: any free port (printed on start)
+const EMPTY = args.includes("--empty");
+const ROOT = __dirname;
+const TYPES = { ".html": "text/html", ".js": "text/javascript", ".mjs": "text/javascript", ".json": "application/json", ".css": "text/css" };
+
+let payload = EMPTY ? null : JSON.parse(fs.readFileSync(path.join(ROOT, "exported_zones.json"), "utf8"));
+let modified = new Date();
+let etag = payload ? tagOf(payload) : null;
+const clients = new Set();
+const sockets = new Set();
+
+function tagOf(data) {
+  return '"' + crypto.createHash("sha1").update(JSON.stringify(data)).digest("hex").slice(0, 16) + '"';
+}
+
+function sendZones(req, res) {
+  if (!payload) {
+    res.writeHead(404, { "Content-Type": "application/json; charset=utf-8" });
+    return res.end(JSON.stringify({ error: "no zones saved yet" }));
+  }
+  const since = req.headers["if-modified-since"];
+  const fresh = req.headers["if-none-match"] === etag ||
+    (!req.headers["if-none-match"] && since && Math.floor(modified / 1000) <= Math.floor(Date.parse(since) / 1000));
+  const headers = { ETag: etag, "Last-Modified": modified.toUTCString(), "Cache-Control": "no-cache" };
+  if (fresh) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  res.writeHead(200, { ...headers, "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(payload));
+}
+
+function saveZones(req, res) {
+  const chunks = [];
+  req.on("data", chunk => chunks.push(chunk));
+  req.on("end", () => {
+    let doc;
+    try {
+      doc = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (err) {
+      res.writeHead(400, { "Content-Type": "application/json; charset=utf-8" });
+      return res.end(JSON.stringify({ error: `invalid JSON: ${err.message}` }));
+    }
+    const report = core.validateDocument(doc);
+    if (!report.valid) {
+      res.writeHead(422, { "Content-Type": "application/json; charset=utf-8" });
+      return res.end(JSON.stringify({ errors: report.errors }));
+    }
+    payload = doc;
+    modified = new Date();
+    etag = tagOf(payload);
+    res.writeHead(204, { ETag: etag });
+    res.end();
+    broadcast(payload);
+  });
+}
+
+function broadcast(data) {
+  const msg = `data: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(msg));
+  const frame = wsFrame(1, Buffer.from(JSON.stringify(data)));
+  sockets.forEach(socket => socket.write(frame));
+}
+
+// --- minimal WebSocket (RFC 6455): handshake, unmasked text frames out, close/ping handled, no fragmentation
+function openSocket(req, socket, head) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.headers.upgrade.toLowerCase() !== "websocket") return socket.destroy();
+  const accept = crypto.createHash("sha1").update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  sockets.add(socket);
+  if (payload) socket.write(wsFrame(1, Buffer.from(JSON.stringify(payload))));
+
+  // `head`: whatever the client sent right after its handshake
+  let buf = Buffer.alloc(0);
+  const receive = (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    for (let frame; (frame = readFrame(buf));) {
+      buf = buf.subarray(frame.size);
+      if (frame.opcode === 8) {
+        socket.end(wsFrame(8, Buffer.alloc(0)));
+        sockets.delete(socket);
+      } else if (frame.opcode === 9) {
+        socket.write(wsFrame(10, frame.data));
+      }
+    }
+  };
+  socket.on("data", receive);
+  if (head && head.length) receive(head);
+  socket.on("close", () => sockets.delete(socket));
+  socket.on("error", () => sockets.delete(socket));
+}
+
+function wsFrame(opcode, data) {
+  const len = data.length;
+  const head = (len < 126) ? Buffer.from([0x80 | opcode, len])
+    : (len < 65536) ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), bigLength(len)]);
+  return Buffer.concat([head, data]);
+}
+
+function bigLength(len) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64BE(BigInt(len));
+  return b;
+}
+
+// client frames are masked; null until the whole frame is in `buf`
+function readFrame(buf) {
+  if (buf.length < 2) return null;
+  let len = buf[1] & 127;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    len = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const masked = (buf[1] & 128) !== 0;
+  const mask = masked ? buf.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buf.length < offset + len) return null;
+  const data = Buffer.from(buf.subarray(offset, offset + len));
+  if (mask) for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+  return { opcode: buf[0] & 15, data, size: offset + len };
+}
+
+function openStream(req, res) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.write("retry: 3000\n\n");
+  clients.add(res);
+  req.on("close", () => clients.delete(res));
+}
+
+function sendStatic(req, res) {
+  const file = path.join(ROOT, path.normalize(decodeURIComponent(req.url.split("?")[0])).replace(/^([/\\])+/, ""));
+  if (!file.startsWith(ROOT)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      return res.end("Not found");
+    }
+    res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+}
+
+// one zone changes every 5 s: polling clients see a new ETag, SSE clients get the patch
+setInterval(() => {
+  const zones = (payload && payload.zones) || [];
+  if (!zones.length) return;
+  const zone = zones[Math.floor(Math.random() * zones.length)];
+  const orders = Math.floor(Math.random() * 120);
+  zone.properties = { ...(zone.properties || {}), orders };
+  zone.name = `Зона (${orders} заказов)`;
+  modified = new Date();
+  etag = tagOf(payload);
+  broadcast({ upsert: [zone] });
+}, 5000);
+
+const server = http.createServer((req, res) => {
+  if (req.url === "/" || req.url.startsWith("/?")) {
+    res.writeHead(302, { Location: "/example-zw-render-live.html" + req.url.slice(1) });
+    return res.end();
+  }
+  if (req.url.startsWith("/zones.json")) {
+    if (req.method === "PUT") return saveZones(req, res);
+    if (req.method === "GET" || req.method === "HEAD") return sendZones(req, res);
+    res.writeHead(405, { Allow: "GET, HEAD, PUT" });
+    return res.end();
+  }
+  if (req.url.startsWith("/zones/stream")) return openStream(req, res);
+  return sendStatic(req, res);
+});
+server.on("upgrade", (req, socket, head) => {
+  if (req.url.startsWith("/zones/ws")) return openSocket(req, socket, head);
+  socket.destroy();
+});
+server.listen(PORT, () => console.log(`Zone stand-in server: http://localhost:${server.address().port}/`));
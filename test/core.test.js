@@ -0,0 +1,314 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../zw-core.js");
+
+// square zone [lng, lat] at (x, y) with side `s` degrees
+function square(x, y, s = 0.01) {
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [[[x, y], [x + s, y], [x + s, y + s], [x, y + s], [x, y]]] } };
+}
+
+function zone(id, x, y, extra = {}) {
+  return { id, createdAt: 1735725600000, name: id.toUpperCase(), color: "#3388ff", description: "", properties: {}, geojson: square(x, y), ...extra };
+}
+
+function codes(list) {
+  return list.map(e => e.code);
+}
+
+test("validateGeometry: closes rings, rejects bad geometry", () => {
+  const open = { type: "Polygon", coordinates: [[[76.9, 43.2], [76.91, 43.2], [76.91, 43.21]]] };
+  const res = core.validateGeometry(open);
+  assert.deepEqual(codes(res.errors), []);
+  assert.deepEqual(codes(res.warnings), ["unclosed"]);
+  assert.deepEqual(res.geojson.coordinates[0].at(-1), [76.9, 43.2]);
+
+  const bow = { type: "Polygon", coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] };
+  assert.deepEqual(codes(core.validateGeometry(bow).errors), ["self-intersection"]);
+  assert.deepEqual(codes(core.validateGeometry({ type: "Polygon", coordinates: [[[43.2, 176.9], [43.3, 176.9], [43.3, 177], [43.2, 176.9]]] }).errors), ["swapped"]);
+  assert.deepEqual(codes(core.validateGeometry({ type: "Point", coordinates: [0, 0] }).errors), ["type"]);
+  assert.deepEqual(codes(core.validateGeometry(null).errors), ["missing"]);
+});
+
+test("validateZones: overlap policies", () => {
+  const zones = [zone("a", 76.9, 43.2), { ...zone("b", 76.905, 43.2) }];
+  assert.equal(core.validateZones(zones, { overlap: "allow" }).zones.length, 2);
+  assert.deepEqual(core.validateZones(zones, { overlap: "warn" }).warnings.map(w => codes(w.warnings)), [["overlap"]]);
+
+  const forbid = core.validateZones(zones, { overlap: "forbid" });
+  assert.deepEqual(forbid.zones.map(z => z.id), ["a"]);
+  assert.deepEqual(forbid.errors.map(e => [e.index, e.id, codes(e.errors)]), [[1, "b", ["overlap"]]]);
+
+  const clip = core.validateZones(zones, { overlap: "clip" });
+  assert.equal(clip.zones.length, 2);
+  assert.equal(core.geometriesOverlap(clip.zones[0].geojson, clip.zones[1].geojson), false);
+
+  const covered = core.validateZones([zone("a", 76.9, 43.2), { id: "c", geojson: square(76.902, 43.202, 0.005) }], { overlap: "clip" });
+  assert.deepEqual(covered.errors.map(e => codes(e.errors)), [["covered"]]);
+});
+
+test("subtractGeometry: Greiner–Hormann difference", () => {
+  const a = square(0, 0, 2).geometry;
+  const corner = core.subtractGeometry(a, square(1, 1, 2).geometry);
+  assert.equal(corner.type, "Polygon");
+  assert.equal(core.zoneStats(corner).vertices, 6);
+  assert.ok(core.zoneContains({ geojson: corner }, [0.5, 0.5]));
+  assert.ok(!core.zoneContains({ geojson: corner }, [1.5, 1.5]));
+
+  const hole = core.subtractGeometry(a, square(0.5, 0.5, 1).geometry);
+  assert.equal(hole.coordinates.length, 2);
+  assert.ok(!core.zoneContains({ geojson: hole }, [1, 1]));
+
+  const split = core.subtractGeometry(a, { type: "Polygon", coordinates: [[[0.9, -1], [1.1, -1], [1.1, 3], [0.9, 3], [0.9, -1]]] });
+  assert.equal(split.type, "MultiPolygon");
+  assert.equal(split.coordinates.length, 2);
+
+  assert.equal(core.subtractGeometry(square(0.5, 0.5, 1).geometry, a), null);
+  assert.deepEqual(core.subtractGeometry(a, square(5, 5).geometry), a);
+});
+
+test("subtractGeometry: shared edges and vertices come out exact", () => {
+  const a = square(76.9, 43.2, 0.02).geometry;
+  const inputs = new Set();
+  const result = (b) => {
+    [a, b].forEach(g => g.coordinates[0].forEach(p => inputs.add(p.join())));
+    const g = core.subtractGeometry(a, b);
+    assert.equal(g.type, "Polygon");
+    assert.equal(g.coordinates.length, 1, "a clip touching the outline is not a hole");
+    assert.deepEqual(core.validateGeometry(g).errors, []);
+    return g.coordinates[0];
+  };
+
+  // half of A along shared edges: no nudged copies of the input vertices
+  const half = result(square(76.91, 43.2, 0.02).geometry);
+  assert.equal(half.length, 5);
+  assert.ok(half.every(p => inputs.has(p.join())));
+
+  // inside A, touching its corner / its bottom edge: a notch in the outline
+  const corner = result(square(76.9, 43.2, 0.01).geometry);
+  assert.equal(corner.length, 7);
+  assert.ok(corner.every(p => inputs.has(p.join())));
+  const notch = result(square(76.905, 43.2, 0.01).geometry);
+  assert.equal(notch.length, 9);
+  assert.ok(notch.every(p => inputs.has(p.join())));
+
+  // a triangle on the bottom edge cutting through the top: two pieces, not one ring joined along the edge
+  const split = core.subtractGeometry(a, { type: "Polygon", coordinates: [[[76.92, 43.2], [76.9, 43.2], [76.91, 43.23], [76.92, 43.2]]] });
+  assert.equal(split.type, "MultiPolygon");
+  assert.deepEqual(core.validateGeometry(split).errors, []);
+  assert.deepEqual(split.coordinates.map(p => p[0].length), [4, 4]);
+  assert.deepEqual(split.coordinates.map(p => p[0][0]), [[76.9, 43.2], [76.92, 43.2]]);
+});
+
+test("zoneStats: area and vertices", () => {
+  const st = core.zoneStats(square(76.9, 43.2));
+  assert.ok(Math.abs(st.area - 903266) < 1000);
+  assert.equal(st.vertices, 4);
+});
+
+test("findZonesAt: zones containing a point", () => {
+  const zones = [zone("a", 76.9, 43.2), zone("b", 76.95, 43.2)];
+  assert.deepEqual(core.findZonesAt(zones, [43.205, 76.905]).map(z => z.id), ["a"]);
+  assert.deepEqual(core.findZonesAt(zones, { lat: 43.3, lng: 76.905 }), []);
+});
+
+test("parseLatLng: coordinates or null", () => {
+  assert.deepEqual(core.parseLatLng("43.2389, 76.8897"), [43.2389, 76.8897]);
+  assert.equal(core.parseLatLng("Almaty"), null);
+});
+
+test("circlePolygon and bufferLine areas", () => {
+  const circle = core.circlePolygon([43.2, 76.9], 1000, 256);
+  assert.ok(Math.abs(core.zoneStats(circle).area / (Math.PI * 1e6) - 1) < 0.01);
+
+  // straight 1 km line, 50 m each side: 1000 x 100 + two half-discs
+  const line = [[43.2, 76.9], [43.2, 76.9 + 1000 / (111320 * Math.cos(43.2 * Math.PI / 180))]];
+  const expected = 1000 * 100 + Math.PI * 50 * 50;
+  assert.ok(Math.abs(core.zoneStats(core.bufferLine(line, 50)).area / expected - 1) < 0.02);
+});
+
+test("bufferLine keeps the loops of a self-crossing line as holes", () => {
+  // figure-eight in local meters around (43.2, 76.9)
+  const ky = 111195;
+  const kx = ky * Math.cos(43.2 * Math.PI / 180);
+  const xy = [[0, 0], [300, 300], [300, 0], [0, 300], [0, 0]];
+  const line = xy.map(([x, y]) => [43.2 + y / ky, 76.9 + x / kx]);
+  const buffer = 20;
+
+  // area within `buffer` of the line, sampled on a 2 m grid
+  const dist = (p, a, b) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+  };
+  let cells = 0;
+  for (let x = -buffer; x < 300 + buffer; x += 2) {
+    for (let y = -buffer; y < 300 + buffer; y += 2) {
+      if (xy.slice(1).some((b, i) => dist([x + 1, y + 1], xy[i], b) <= buffer)) cells++;
+    }
+  }
+  const expected = cells * 4;
+
+  const corridor = core.bufferLine(line, buffer, 32);
+  assert.equal(corridor.geometry.type, "Polygon");
+  assert.equal(corridor.geometry.coordinates.length, 3);
+  assert.ok(Math.abs(core.zoneStats(corridor).area / expected - 1) < 0.02, `${core.zoneStats(corridor).area} vs ${expected}`);
+  assert.deepEqual(core.validateGeometry(corridor).errors, []);
+  // the middle of a lobe is outside the corridor, a point on the line is inside
+  assert.ok(!core.zoneContains({ geojson: corridor }, [43.2 + 150 / ky, 76.9 + 50 / kx]));
+  assert.ok(core.zoneContains({ geojson: corridor }, [43.2 + 150 / ky, 76.9 + 150 / kx]));
+
+  // a line turning back on itself covers just the longer leg
+  const back = core.bufferLine([[43.2, 76.9], [43.2, 76.9 + 300 / kx], [43.2, 76.9 + 100 / kx]], buffer, 32);
+  assert.ok(Math.abs(core.zoneStats(back).area / (300 * 40 + Math.PI * 400) - 1) < 0.01);
+});
+
+test("GeoJSON, KML and GPX round trips keep metadata", () => {
+  const doc = { zones: [zone("a", 76.9, 43.2, { description: "центр", properties: { tariff: 990, active: true } })] };
+  const fromFc = core.fromFeatureCollection(core.toFeatureCollection(doc))[0];
+  assert.equal(fromFc.id, "a");
+  assert.equal(fromFc.description, "центр");
+  assert.deepEqual(fromFc.properties, { tariff: 990, active: true });
+  assert.equal(fromFc.createdAt, 1735725600000);
+
+  const kml = core.serializeZones(doc, "kml");
+  assert.equal(core.detectFormat(kml), "kml");
+  const fromKml = core.parseZones(kml)[0];
+  assert.deepEqual([fromKml.id, fromKml.name, fromKml.color, fromKml.properties], ["a", "A", "#3388ff", { tariff: 990, active: true }]);
+
+  const gpx = core.serializeZones(doc, "gpx");
+  assert.equal(core.detectFormat(gpx), "gpx");
+  const fromGpx = core.parseZones(gpx)[0];
+  assert.deepEqual([fromGpx.id, fromGpx.name, fromGpx.color], ["a", "A", "#3388ff"]);
+  assert.equal(core.zoneStats(fromGpx.geojson).vertices, 4);
+
+  assert.throws(() => core.parseZones("hello"), { code: "unknown-format" });
+});
+
+test("GeoJSON export of the widget passes validateDocument and imports back", () => {
+  // v1 zones have no color; the export must not write `color: null`
+  const doc = core.migrateDocument({ zones: [{ id: "a", createdAt: 1735725600000, geojson: square(76.9, 43.2) }, zone("b", 76.95, 43.2)] }).document;
+  const fc = JSON.parse(core.serializeZones(doc, "geojson"));
+  assert.ok(!("color" in fc.features[0].properties));
+
+  const report = core.validateDocument(fc);
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.valid, true);
+
+  const back = core.parseZones(JSON.stringify(fc));
+  assert.deepEqual(back.map(z => [z.id, z.color, z.createdAt]), [["a", undefined, 1735725600000], ["b", "#3388ff", 1735725600000]]);
+  assert.deepEqual(back.map(z => core.zoneStats(z.geojson).area), doc.zones.map(z => core.zoneStats(z.geojson).area));
+  assert.equal(core.validateDocument({ type: "FeatureCollection", features: [{ type: "Feature", properties: { color: null }, geometry: square(0, 0).geometry }] }).valid, true);
+});
+
+test("migrateDocument: v1 upgrade, newer and bad versions", () => {
+  const v1 = { zones: [{ id: "a", createdAt: 1, geojson: square(76.9, 43.2) }] };
+  const m = core.migrateDocument(v1);
+  assert.equal(m.from, 1);
+  assert.equal(m.migrated, true);
+  assert.equal(m.document.version, core.SCHEMA_VERSION);
+  assert.deepEqual([m.document.zones[0].name, m.document.zones[0].properties], ["", {}]);
+
+  assert.throws(() => core.migrateDocument({ version: core.SCHEMA_VERSION + 1, zones: [] }), { code: "newer-version" });
+  assert.throws(() => core.migrateDocument({ version: "2", zones: [] }), { code: "version" });
+  assert.equal(core.migrateDocument([]).migrated, false);
+});
+
+test("validateDocument: schema and geometry errors with paths", () => {
+  const good = { version: core.SCHEMA_VERSION, zones: [zone("a", 76.9, 43.2)] };
+  assert.equal(core.validateDocument(good).valid, true);
+
+  const bad = { version: core.SCHEMA_VERSION, zones: [zone("a", 76.9, 43.2, { color: "red" }), { id: "b" }, zone("c", 76.9, 43.2)] };
+  const res = core.validateDocument(bad, { overlap: "forbid" });
+  assert.equal(res.valid, false);
+  assert.deepEqual(res.errors.map(e => [e.path, e.code, e.params.keyword]), [["/zones/0/color", "schema", "pattern"], ["/zones/1", "schema", "required"]]);
+
+  const overlap = core.validateDocument({ zones: [zone("a", 76.9, 43.2), zone("b", 76.905, 43.2)] }, { overlap: "forbid" });
+  assert.equal(overlap.migrated, true);
+  assert.deepEqual(overlap.errors.map(e => [e.path, e.code]), [["/zones/1/geojson", "overlap"]]);
+
+  // an unlimited editor leaves meta.limit out; null (JSON of Infinity) is not a limit
+  const meta = (m) => core.validateDocument({ version: core.SCHEMA_VERSION, meta: m, zones: [] });
+  assert.equal(meta({ center: [43.2, 76.9], zoom: 12 }).valid, true);
+  assert.equal(meta({ limit: 4 }).valid, true);
+  assert.deepEqual(meta(JSON.parse(JSON.stringify({ limit: Infinity }))).errors.map(e => e.path), ["/meta/limit"]);
+
+  assert.deepEqual(codes(core.validateDocument({ foo: 1 }).errors), ["envelope"]);
+  assert.equal(core.validateDocument(core.toFeatureCollection(good)).version, null);
+});
+
+test("planImport: merge updates by id, renames repeated ids", () => {
+  const current = [zone("a", 76.9, 43.2), zone("b", 76.92, 43.2)];
+  const file = { zones: [zone("a", 76.9, 43.2, { name: "New A" }), zone("a", 76.94, 43.2), zone("c", 76.96, 43.2), zone("b", 76.92, 43.2)] };
+  const plan = core.planImport(current, file, { mode: "merge" });
+
+  assert.deepEqual(plan.updated.map(z => [z.id, z.name]), [["a", "New A"]]);
+  assert.deepEqual(plan.unchanged.map(z => z.id), ["b"]);
+  assert.equal(plan.added.length, 2);
+  assert.ok(!["a", "b"].includes(plan.added[0].id));
+  assert.equal(plan.added[1].id, "c");
+  assert.deepEqual(plan.removed, []);
+  // bbox middle when the file has no center
+  assert.deepEqual(plan.added[1].center.map(v => +v.toFixed(3)), [43.205, 76.965]);
+
+  const { zones } = core.resolveImport(plan);
+  assert.deepEqual(zones.map(z => z.name), ["New A", "B", "A", "C"]);
+
+  const appended = core.planImport(current, file, { mode: "append" });
+  assert.deepEqual(appended.updated, []);
+  assert.equal(new Set(appended.added.map(z => z.id).concat("a", "b")).size, 6);
+});
+
+test("planImport: locked zones are kept on merge and replace", () => {
+  const current = [zone("a", 76.9, 43.2, { locked: true }), zone("b", 76.92, 43.2)];
+  const file = [zone("a", 76.9, 43.2, { name: "New A" }), zone("c", 76.96, 43.2)];
+
+  const merge = core.planImport(current, file, { mode: "merge", keepLocked: true });
+  assert.deepEqual(merge.errors.map(e => [e.index, e.id, codes(e.errors)]), [[0, "a", ["locked"]]]);
+  assert.deepEqual(merge.updated, []);
+  assert.deepEqual(merge.base.map(z => z.name), ["A", "B"]);
+
+  const replace = core.planImport(current, file, { keepLocked: true });
+  assert.deepEqual(replace.base.map(z => z.id), ["a"]);
+  assert.deepEqual(replace.removed.map(z => z.id), ["b"]);
+  assert.deepEqual(replace.added.map(z => z.id), ["c"]);
+
+  // without keepLocked the file wins
+  assert.deepEqual(core.planImport(current, file, { mode: "merge" }).updated.map(z => z.name), ["New A"]);
+});
+
+test("resolveImport: added zones beyond the limit are skipped", () => {
+  const current = [zone("a", 76.9, 43.2)];
+  const file = [zone("c", 76.92, 43.2), zone("d", 76.94, 43.2), zone("e", 76.96, 43.2)];
+  const plan = core.planImport(current, file, { mode: "append", limit: 3 });
+  assert.equal(plan.free, 2);
+
+  const first = core.resolveImport(plan);
+  assert.deepEqual(first.zones.map(z => z.id), ["a", "c", "d"]);
+  assert.deepEqual(first.skipped.map(z => z.id), ["e"]);
+
+  // `keep` picks zones but cannot overflow: file order, first `free` of them
+  const kept = core.resolveImport(plan, ["e", "d", "c"]);
+  assert.deepEqual(kept.added.map(z => z.id), ["c", "d"]);
+  assert.deepEqual(core.resolveImport(plan, ["e"]).skipped.map(z => z.id), ["c", "d"]);
+
+  const full = core.planImport(file, current, { mode: "append", limit: 2 });
+  assert.equal(full.free, 0);
+  assert.deepEqual(core.resolveImport(full).zones.map(z => z.id), ["c", "d", "e"]);
+});
+
+test("planImport: envelope and mode errors throw", () => {
+  assert.throws(() => core.planImport([], { foo: 1 }), { code: "envelope" });
+  assert.throws(() => core.planImport([], [], { mode: "upsert" }), /unknown import mode/);
+  const plan = core.planImport([], [zone("a", 76.9, 43.2), 5]);
+  assert.deepEqual(plan.errors.map(e => [e.index, codes(e.errors)]), [[1, ["record"]]]);
+});
+
+test("package exports: core under Node, editor and viewer only for browsers", () => {
+  assert.equal(require("zonewidget"), core);
+  assert.equal(require("zonewidget/core"), core);
+  assert.throws(() => require("zonewidget/editor"), { code: "ERR_PACKAGE_PATH_NOT_EXPORTED" });
+  assert.throws(() => require("zonewidget/viewer"), { code: "ERR_PACKAGE_PATH_NOT_EXPORTED" });
+});
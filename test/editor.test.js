@@ -0,0 +1,258 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage } = require("./helpers.js");
+
+// square [lng, lat] ring at (x, 43.2), `s` degrees
+function square(x, s = 0.01) {
+  return { type: "Polygon", coordinates: [[[x, 43.2], [x + s, 43.2], [x + s, 43.2 + s], [x, 43.2 + s], [x, 43.2]]] };
+}
+
+const zones = (...ids) => ids.map((id, i) => ({ id, name: id.toUpperCase(), geojson: square(76.9 + i * 0.02) }));
+
+async function mount(t, options = {}) {
+  const win = openPage(["zw-core.js", "zw-editor.js"]);
+  const api = await win.ZoneWidget.mount("#w", { tiles: false, thumbnails: "svg", mode: "edit", ...options });
+  t.after(() => api.destroy());
+  // copies into this realm, so deepEqual compares values
+  const ids = () => Array.from(api.getZones(), z => z.id);
+  const click = sel => win.document.querySelector(sel).click();
+  // what Leaflet.Draw fires when the user closes a polygon
+  const draw = (x) => {
+    const latlngs = square(x).coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+    win.maps[0].fire("draw:created", { layer: win.L.polygon(latlngs), layerType: "polygon" });
+  };
+  return { win, api, ids, click, draw };
+}
+
+test("undo/redo: delete, create and metadata edits go back and forth", async (t) => {
+  const { api, ids, click, draw, win } = await mount(t);
+  api.setZones(zones("a", "b"));
+  assert.equal(api.canUndo(), false, "setZones starts a new history");
+
+  click('[data-del="a"]');
+  draw(77);
+  assert.equal(ids().length, 2);
+  click('[data-meta="b"]');
+  win.document.querySelector('[data-meta-form="b"] input').value = "Renamed";
+  click('[data-meta-action="save"]');
+
+  assert.equal(api.undo(), true);
+  assert.equal(api.getZones()[0].name, "B");
+  assert.equal(api.undo(), true);
+  assert.deepEqual(ids(), ["b"]);
+  assert.equal(api.undo(), true);
+  assert.deepEqual(ids(), ["a", "b"]);
+  assert.equal(api.undo(), false);
+
+  assert.equal(api.redo(), true);
+  assert.deepEqual(ids(), ["b"]);
+  assert.equal(api.canRedo(), true);
+
+  api.setMode("view");
+  assert.equal(api.undo(), false, "history is for edit mode only");
+  assert.equal(api.canRedo(), false);
+});
+
+test("undo/redo: a new edit clears redo, historyLimit drops the oldest steps", async (t) => {
+  const { api, ids, click } = await mount(t, { historyLimit: 2 });
+  api.setZones(zones("a", "b", "c", "d"));
+
+  click('[data-del="a"]');
+  assert.equal(api.undo(), true);
+  assert.equal(api.canRedo(), true);
+  click('[data-del="b"]');
+  assert.equal(api.canRedo(), false, "a new edit after undo drops the redo steps");
+
+  click('[data-del="c"]');
+  click('[data-del="d"]');
+  assert.deepEqual(ids(), ["a"]);
+  assert.equal(api.undo(), true);
+  assert.equal(api.undo(), true);
+  assert.equal(api.undo(), false, "only historyLimit steps are kept");
+  assert.deepEqual(ids(), ["a", "c", "d"]);
+});
+
+test("permissions: hidden controls, blocked actions, setPermissions/getPermissions", async (t) => {
+  const { api, ids, draw, win } = await mount(t, { permissions: { canDelete: false, canEditMeta: false } });
+  const $ = sel => win.document.querySelector(sel);
+  api.setZones(zones("a"));
+
+  assert.equal(api.getPermissions().canDelete, false);
+  assert.equal($('[data-del="a"]'), null);
+  assert.equal($('[data-meta="a"]'), null);
+  $('[data-zw-item="clear"]').click();
+  assert.deepEqual(ids(), ["a"]);
+
+  api.setPermissions({ canCreate: false });
+  draw(77);
+  assert.deepEqual(ids(), ["a"], "a drawn polygon is dropped without canCreate");
+
+  api.setPermissions({ canCreate: true, canDelete: true, canEditMeta: true });
+  assert.ok($('[data-del="a"]') && $('[data-meta="a"]'));
+  draw(77);
+  assert.equal(ids().length, 2);
+});
+
+test("permissions: undo/redo never does what the user may not do by hand", async (t) => {
+  const { api, ids, click, win } = await mount(t);
+  const undoButton = win.document.querySelector('[data-zw-item="undo"]');
+  api.setZones(zones("a", "b"));
+
+  click('[data-del="a"]');
+  api.setPermissions({ canCreate: false });
+  assert.equal(api.canUndo(), false, "undoing a delete creates a zone");
+  assert.equal(undoButton.disabled, true);
+  assert.equal(api.undo(), false);
+  assert.deepEqual(ids(), ["b"]);
+
+  api.setPermissions({ canCreate: true });
+  assert.equal(api.undo(), true);
+  api.setPermissions({ canDelete: false });
+  assert.equal(api.canRedo(), false, "redoing a delete");
+  assert.equal(api.redo(), false);
+  api.setPermissions({ canDelete: true });
+
+  click('[data-meta="b"]');
+  win.document.querySelector('[data-meta-form="b"] input').value = "Renamed";
+  click('[data-meta-action="save"]');
+  api.setPermissions({ canEditMeta: false });
+  assert.equal(api.undo(), false);
+  assert.equal(api.getZones()[1].name, "Renamed");
+  api.setPermissions({ canEditMeta: true });
+  assert.equal(api.undo(), true);
+  assert.equal(api.getZones()[1].name, "B");
+});
+
+test("setLocked: read-only zone, history reset, lock event", async (t) => {
+  const { api, ids, click, win } = await mount(t);
+  const $ = sel => win.document.querySelector(sel);
+  const events = [];
+  api.on("lock", e => events.push(Array.from(e.zones, z => [z.id, z.locked])));
+  api.setZones(zones("a", "b"));
+  click('[data-del="b"]');
+
+  assert.equal(api.setLocked("a"), true);
+  assert.equal(api.setLocked("a"), false, "already locked");
+  assert.equal(api.setLocked("nope"), false);
+  assert.deepEqual(events, [[["a", true]]]);
+  assert.equal(api.canUndo(), false, "undo must not bring back an older version of a locked zone");
+
+  assert.equal($('[data-del="a"]'), null);
+  assert.equal($('[data-meta="a"]'), null);
+  assert.ok($('[data-zone="a"] .zw-lock'));
+  click('[data-zw-item="clear"]');
+  assert.deepEqual(ids(), ["a"], "clear all keeps locked zones");
+  assert.equal(api.getZones()[0].locked, true);
+
+  assert.equal(api.setLocked("a", false), true);
+  assert.ok($('[data-del="a"]'));
+  assert.equal(api.getZones()[0].locked, undefined);
+});
+
+test("import keeps locked zones: file zones with their ids are skipped on replace and merge", async (t) => {
+  const { api, ids, win } = await mount(t, { limit: 10 });
+  const $ = sel => win.document.querySelector(sel);
+  const file = doc => ({ name: "zones.json", text: async () => JSON.stringify(doc) });
+  const incoming = { zones: [{ ...zones("a")[0], name: "From file" }, { id: "c", geojson: square(77.1) }] };
+  api.setZones([{ ...zones("a")[0], locked: true }, zones("a", "b")[1]]);
+
+  await api.importFile(file(incoming));
+  $('[data-import-action="apply"]').click();
+  assert.deepEqual(ids(), ["a", "c"], "replace drops b, keeps the locked a and no copy of it");
+  assert.equal(api.getZones()[0].name, "A");
+
+  await api.importFile(file(incoming));
+  const merge = $('[name="zw-import-mode"][value="merge"]');
+  merge.checked = true;
+  merge.dispatchEvent(new win.Event("change", { bubbles: true }));
+  assert.match($(".zw-import-preview").textContent, /From file|a/);
+  $('[data-import-action="apply"]').click();
+  assert.equal(api.getZones()[0].name, "A", "merge does not update a locked zone");
+  assert.equal(api.getZones()[0].locked, true);
+});
+
+// storage whose load() resolves when the test says so
+function deferredStorage() {
+  const saves = [];
+  let settle;
+  let called;
+  const loadCalled = new Promise((resolve) => { called = resolve; });
+  const loaded = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  return {
+    saves,
+    settle,
+    loadCalled,
+    storage: {
+      load() { called(); return loaded; },
+      async save(payload) { saves.push(payload); }
+    }
+  };
+}
+
+test("storage: view mode and no saves until load() settles", async (t) => {
+  const win = openPage(["zw-core.js", "zw-editor.js"]);
+  const store = deferredStorage();
+  const mounting = win.ZoneWidget.mount("#w", { tiles: false, thumbnails: "svg", mode: "edit", storage: store.storage, saveDelay: 0 });
+  await store.loadCalled;
+  const toggle = win.document.querySelector('[data-i18n="toggleMode"]');
+  assert.equal(toggle.disabled, true);
+  assert.equal(win.document.querySelector(".leaflet-draw"), null, "no draw toolbar while loading");
+  toggle.click();
+  const latlngs = square(77).coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+  win.maps[0].fire("draw:created", { layer: win.L.polygon(latlngs), layerType: "polygon" });
+
+  store.settle.resolve({ zones: zones("a", "b") });
+  const api = await mounting;
+  t.after(() => api.destroy());
+  assert.deepEqual(Array.from(api.getZones(), z => z.id), ["a", "b"], "nothing drawn over the stored zones");
+  assert.equal(toggle.disabled, false);
+  assert.ok(win.document.querySelector(".leaflet-draw"), "edit mode once loaded");
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(store.saves.length, 0);
+});
+
+test("storage: a failed load enables editing, destroy() drops the pending save", async (t) => {
+  const win = openPage(["zw-core.js", "zw-editor.js"]);
+  const store = deferredStorage();
+  const mounting = win.ZoneWidget.mount("#w", { tiles: false, thumbnails: "svg", mode: "edit", storage: store.storage, saveDelay: 10 });
+  await store.loadCalled;
+  store.settle.reject(new Error("offline"));
+  const api = await mounting;
+  assert.ok(win.document.querySelector(".leaflet-draw"));
+
+  api.setZones(zones("a"));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(store.saves.map(p => p.zones.length), [1]);
+
+  api.setZones(zones("a", "b"));
+  api.destroy();
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(store.saves.length, 1, "the debounced save is cancelled");
+});
+
+test("limit event: once when create or setZones reaches the limit", async (t) => {
+  const { api, click, draw, win } = await mount(t, { limit: 2 });
+  const counts = [];
+  api.on("limit", e => counts.push(e.count));
+
+  api.setZones(zones("a"));
+  draw(77);
+  assert.deepEqual(counts, [2]);
+
+  click('[data-meta="a"]');
+  win.document.querySelector('[data-meta-form="a"] input').value = "Renamed";
+  click('[data-meta-action="save"]');
+  api.undo();
+  click('[data-del="a"]');
+  api.undo();
+  api.setLocked("a", true);
+  assert.deepEqual(counts, [2], "edits, deletes and undo at the limit stay quiet");
+
+  api.setZones(zones("a", "b"));
+  assert.deepEqual(counts, [2], "already at the limit");
+  api.setZones(zones("a"));
+  api.setZones(zones("a", "b"));
+  assert.deepEqual(counts, [2, 2]);
+});
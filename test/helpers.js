@@ -0,0 +1,60 @@
+"use strict";
+
+// Shared by the tests: browser scripts in a bare vm context or a jsdom page, the stand-in server on a free port
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { spawn } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+
+// run zw-editor.js / zw-render.js with just the globals they touch on load; returns the context (its `window`)
+function loadScript(file, globals = {}) {
+  const ctx = { document: { currentScript: null }, console, ...globals };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), ctx, { filename: file });
+  return ctx;
+}
+
+// jsdom page with Leaflet + Leaflet.Draw and the given zw-*.js loaded -> its window. Maps created on it are
+// collected in `window.maps` (the widgets do not expose theirs), so tests can fire Leaflet.Draw events
+function openPage(files, body = '<div id="w"></div><div style="height:400px"><div id="v"></div></div>') {
+  const { JSDOM, VirtualConsole } = require("jsdom");
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { runScripts: "outside-only", pretendToBeVisual: true, url: "http://localhost/", virtualConsole });
+  const win = dom.window;
+  // layout APIs jsdom does not have
+  win.ResizeObserver = class { observe() {} disconnect() {} };
+  win.SVGSVGElement.prototype.createSVGRect = () => ({});
+  const run = file => win.eval(fs.readFileSync(file, "utf8"));
+  run(require.resolve("leaflet/dist/leaflet-src.js"));
+  run(require.resolve("leaflet-draw/dist/leaflet.draw-src.js"));
+  win.maps = [];
+  win.L.Map.addInitHook(function () { win.maps.push(this); });
+  files.forEach(file => run(path.join(ROOT, file)));
+  return win;
+}
+
+// example-live-server.js on a free port -> { url, stop() }
+function startServer(...args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, "example-live-server.js"), "0", ...args], { stdio: ["ignore", "pipe", "inherit"] });
+    const stop = () => new Promise((done) => {
+      if (child.exitCode !== null) return done();
+      child.once("exit", () => done());
+      child.kill();
+    });
+    let out = "";
+    child.stdout.on("data", (chunk) => {
+      out += chunk;
+      const m = /http:\/\/localhost:(\d+)\//.exec(out);
+      if (m) resolve({ url: `http://localhost:${m[1]}`, stop });
+    });
+    child.once("exit", code => reject(new Error(`example-live-server.js exited with ${code}`)));
+  });
+}
+
+module.exports = { loadScript, openPage, startServer };
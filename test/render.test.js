@@ -0,0 +1,244 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage } = require("./helpers.js");
+
+// square [lng, lat] ring at (x, 43.2), `s` degrees
+function square(x, s = 0.01) {
+  return { type: "Polygon", coordinates: [[[x, 43.2], [x + s, 43.2], [x + s, 43.2 + s], [x, 43.2 + s], [x, 43.2]]] };
+}
+
+const zones = (...ids) => ids.map((id, i) => ({ id, name: id.toUpperCase(), geojson: square(76.9 + i * 0.02) }));
+
+// fetch stand-in: answers from `replies` in turn (a status number, a JSON body or an Error to throw), counts calls
+function stubFetch(...replies) {
+  const fetcher = async (url, init) => {
+    fetcher.calls.push({ url, init });
+    const reply = replies[Math.min(fetcher.calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    const status = (typeof reply === "number") ? reply : 200;
+    return { ok: status < 300, status, headers: { get: () => null }, json: async () => reply };
+  };
+  fetcher.calls = [];
+  return fetcher;
+}
+
+async function mount(t, cfg) {
+  const win = openPage(["zw-core.js", "zw-render.js"]);
+  const viewer = await win.ZoneMapViewer.mount({ el: "#v", ...cfg });
+  t.after(() => viewer.destroy());
+  const $ = sel => win.document.querySelector(sel);
+  // zone polygons on the map, west to east (the order test zones are laid out in)
+  const polygons = () => {
+    const out = [];
+    win.maps[0].eachLayer((layer) => { if (layer instanceof win.L.Polygon) out.push(layer); });
+    return out.sort((a, b) => a.getBounds().getWest() - b.getBounds().getWest());
+  };
+  return { win, viewer, $, polygons };
+}
+
+test("locale: legend title and overlay texts, messages and overlay overrides", async (t) => {
+  const en = await mount(t, { data: zones("a"), options: { locale: "en", legend: true } });
+  assert.equal(en.$(".zmw-legend-title").textContent, "Zones");
+
+  const custom = await mount(t, { data: zones("a"), options: { locale: "en", messages: { legend: "Areas" }, legend: true } });
+  assert.equal(custom.$(".zmw-legend-title").textContent, "Areas");
+  const titled = await mount(t, { data: zones("a"), options: { messages: { legend: "Areas" }, legend: { title: "Mine" } } });
+  assert.equal(titled.$(".zmw-legend-title").textContent, "Mine");
+
+  const kk = await mount(t, { jsonUrl: "/zones.json", options: { locale: "kk", fetcher: stubFetch(404), overlay: { retry: "Again" } } });
+  assert.equal(kk.$(".zmw-overlay-error b").textContent, "Аймақтарды жүктеу мүмкін болмады");
+  assert.equal(kk.$("[data-zmw-retry]").textContent, "Again");
+
+  const fallback = await mount(t, { data: zones("a"), options: { locale: "xx", legend: true } });
+  assert.equal(fallback.$(".zmw-legend-title").textContent, "Зоны");
+});
+
+test("mount: a rejected cfg.data leaves the container as it was", async () => {
+  const win = openPage(["zw-core.js", "zw-render.js"]);
+  const el = win.document.getElementById("v");
+  el.className = "host";
+  el.setAttribute("style", "outline: 1px solid red");
+  const before = () => [el.className, el.getAttribute("style"), el.innerHTML];
+  const initial = before();
+
+  await assert.rejects(win.ZoneMapViewer.mount({ el: "#v", data: Promise.reject(new Error("offline")) }), /offline/);
+  assert.deepEqual(before(), initial);
+  await assert.rejects(win.ZoneMapViewer.mount({ el: "#v", data: { version: 99, zones: [] } }), { code: "newer-version" });
+  assert.deepEqual(before(), initial);
+
+  // and the same element still mounts
+  const viewer = await win.ZoneMapViewer.mount({ el: "#v", data: Promise.resolve(zones("a")) });
+  assert.equal(viewer.getZones().length, 1);
+  viewer.destroy();
+});
+
+test("legend, hover, click and popup", async (t) => {
+  const data = zones("a", "b");
+  data[0].properties = { price: "<500>" };
+  const { win, viewer, $, polygons } = await mount(t, { data, options: { legend: true, popup: "<b>{name}</b> {properties.price} ₸", highlight: { weight: 7 } } });
+  const boxes = () => Array.from(win.document.querySelectorAll("[data-zone-index]"), box => box.checked);
+  assert.deepEqual(boxes(), [true, true]);
+
+  const box = $('[data-zone-index="0"]');
+  box.checked = false;
+  box.dispatchEvent(new win.Event("change", { bubbles: true }));
+  assert.equal(polygons().length, 1);
+  viewer.setVisible("a", true);
+  assert.deepEqual(boxes(), [true, true]);
+  viewer.setVisible("b", false);
+  assert.deepEqual(boxes(), [true, false]);
+  viewer.setVisible("b", true);
+
+  const events = [];
+  viewer.on("zonehover", e => events.push(["hover", e.zone.id, e.hovered]));
+  const offClick = viewer.on("zoneclick", e => events.push(["click", e.zone.id, Array.from(e.latlng)]));
+  const [a] = polygons();
+  a.fire("mouseover", {}, true);
+  assert.equal(a.options.weight, 7);
+  a.fire("mouseout", {}, true);
+  assert.equal(a.options.weight, 3);
+  a.fire("click", { latlng: win.L.latLng(43.205, 76.905) }, true);
+  offClick();
+  a.fire("click", { latlng: win.L.latLng(43.205, 76.905) }, true);
+  assert.deepEqual(events, [["hover", "a", true], ["hover", "a", false], ["click", "a", [43.205, 76.905]]]);
+  assert.equal($(".leaflet-popup-content").innerHTML, "<b>A</b> &lt;500&gt; ₸");
+});
+
+test("zoneStyle: rules over the base style, functions, setStyle in place", async (t) => {
+  const data = zones("a", "b", "c");
+  Object.assign(data[0], { color: "#000000", properties: { type: "express", orders: 60, active: true } });
+  Object.assign(data[1], { properties: { type: "other", orders: 5, active: false } });
+  Object.assign(data[2], { properties: { orders: "n/a", meta: { tier: 2 } } });
+  const zoneStyle = {
+    weight: 2,
+    fillOpacity: 0.3,
+    rules: [
+      { property: "type", categories: { express: "#e4572e", other: { dashArray: "4 4" } }, default: "#999999" },
+      { property: "orders", stops: [[0, "#fee5d9"], [50, "#a50f15"]], key: "fillColor", default: "#eeeeee" },
+      { property: "active", equals: false, style: { opacity: 0.5 } },
+      { property: "meta.tier", in: [2, 3], style: { weight: 4 } },
+      { property: "name", in: ["A"], style: { fillOpacity: 0.6 } },
+      { test: z => z.id === "c", style: { fillOpacity: 0.1 } }
+    ]
+  };
+  const { win, viewer, polygons } = await mount(t, { data, options: { zoneStyle, legend: true } });
+  const pick = (layer, ...keys) => Object.fromEntries(keys.map(k => [k, layer.options[k]]));
+  const keys = ["color", "fillColor", "weight", "opacity", "fillOpacity", "dashArray"];
+  const [a, b, c] = polygons();
+  assert.deepEqual(pick(a, ...keys), { color: "#e4572e", fillColor: "#a50f15", weight: 2, opacity: 1, fillOpacity: 0.6, dashArray: null });
+  assert.deepEqual(pick(b, ...keys), { color: "#3388ff", fillColor: "#fee5d9", weight: 2, opacity: 0.5, fillOpacity: 0.3, dashArray: "4 4" });
+  assert.deepEqual(pick(c, ...keys), { color: "#999999", fillColor: "#eeeeee", weight: 4, opacity: 1, fillOpacity: 0.1, dashArray: null });
+
+  // a function gets a copy of the zone; its color wins over the zone color, keys set before are cleared
+  viewer.setStyle(z => ({ color: z.properties.orders > 10 ? "#ff0000" : undefined, weight: 5 }));
+  assert.deepEqual(polygons(), [a, b, c], "restyled, not redrawn");
+  assert.deepEqual(pick(a, "color", "fillColor", "weight", "dashArray"), { color: "#ff0000", fillColor: null, weight: 5, dashArray: null });
+  assert.equal(b.options.color, "#3388ff");
+  const swatches = Array.from(win.document.querySelectorAll(".zmw-swatch"), s => s.style.borderColor);
+  assert.deepEqual(swatches, ["rgb(255, 0, 0)", "rgb(51, 136, 255)", "rgb(51, 136, 255)"]);
+
+  viewer.setStyle({ weight: 1 });
+  assert.deepEqual(pick(a, "color", "weight"), { color: "#000000", weight: 1 }, "plain style: the zone color wins");
+});
+
+test("update and patch: diff by id, unchanged layers kept, hidden zones stay hidden", async (t) => {
+  const [a, b, c, d, e] = zones("a", "b", "c", "d", "e");
+  const { viewer, polygons } = await mount(t, { data: [a, b, c] });
+  const diffs = [];
+  viewer.on("update", diff => diffs.push(diff));
+  const plain = diff => JSON.parse(JSON.stringify(diff));
+  const [layerA] = polygons();
+  viewer.setVisible("b", false);
+
+  assert.deepEqual(plain(viewer.update({ zones: [a, { ...b, name: "B2" }, d] })), { added: ["d"], updated: ["b"], removed: ["c"] });
+  assert.equal(polygons()[0], layerA, "unchanged zone keeps its layer");
+  assert.equal(polygons().length, 2, "b is updated but still hidden");
+  assert.deepEqual(plain(viewer.update([a, { ...b, name: "B2" }, d])), { added: [], updated: [], removed: [] });
+  assert.equal(diffs.length, 1, "no event without changes");
+
+  assert.deepEqual(plain(viewer.patch({ upsert: [{ ...d, name: "D2" }, e], remove: ["a"] })), { added: ["e"], updated: ["d"], removed: ["a"] });
+  assert.deepEqual(plain(viewer.patch({ op: "remove", id: "e" })), { added: [], updated: [], removed: ["e"] });
+  assert.deepEqual(Array.from(viewer.getZones(), z => [z.id, z.name]), [["b", "B2"], ["d", "D2"]]);
+  assert.equal(diffs.length, 3);
+});
+
+test("refresh: conditional polling, pushed patches and bad messages", async (t) => {
+  let version = 1;
+  let body = { zones: zones("a") };
+  const fetcher = async (url, init) => {
+    fetcher.sent.push(init.headers["If-None-Match"] || null);
+    const etag = `"v${version}"`;
+    const status = (init.headers["If-None-Match"] === etag) ? 304 : 200;
+    return { ok: status === 200, status, headers: { get: name => (name === "ETag" ? etag : null) }, json: async () => body };
+  };
+  fetcher.sent = [];
+  const { viewer } = await mount(t, { jsonUrl: "/zones.json", options: { fetcher } });
+
+  assert.equal(await viewer.refresh(), null, "304: nothing to do");
+  version = 2;
+  body = { zones: zones("a", "b") };
+  assert.deepEqual(JSON.parse(JSON.stringify(await viewer.refresh())), { added: ["b"], updated: [], removed: [] });
+  assert.deepEqual(fetcher.sent, [null, '"v1"', '"v1"']);
+
+  const sources = [];
+  class FakeEventSource {
+    constructor(url) { this.url = url; sources.push(this); }
+    close() { this.closed = true; }
+  }
+  const pushed = await mount(t, { data: zones("a"), options: { refresh: { sse: "/events", EventSource: FakeEventSource } } });
+  const seen = [];
+  pushed.viewer.on("update", ({ added, updated, removed }) => seen.push(JSON.parse(JSON.stringify({ added, updated, removed }))));
+  pushed.viewer.on("refresherror", ({ error }) => seen.push(error.name));
+  sources[0].onmessage({ data: JSON.stringify({ op: "upsert", zone: { ...zones("a")[0], name: "A2" } }) });
+  sources[0].onmessage({ data: JSON.stringify({ zones: [] }) });
+  sources[0].onmessage({ data: "{not json" });
+  assert.deepEqual(seen, [{ added: [], updated: ["a"], removed: [] }, { added: [], updated: [], removed: ["a"] }, "SyntaxError"]);
+  pushed.viewer.stopRefresh();
+  assert.equal(sources[0].closed, true);
+});
+
+test("fetch: retries, timeout, then the error is surfaced", async (t) => {
+  const events = [];
+  const on = { loading: () => events.push("loading"), loaded: e => events.push(`loaded ${e.zones}`), error: e => events.push(e.error) };
+
+  const down = stubFetch(new Error("connection refused"));
+  const failed = await mount(t, { jsonUrl: "/zones.json", options: { fetcher: down, retries: 2, retryDelay: 1, on } });
+  const error = events[1];
+  assert.equal(events[0], "loading");
+  assert.deepEqual([error.code, error.attempts, down.calls.length], ["network", 3, 3]);
+  assert.match(failed.$(".zmw-overlay-error .zmw-overlay-msg").textContent, /connection refused/);
+  await assert.rejects(failed.viewer.reload(), { code: "network", attempts: 3 });
+
+  // 503 is retried, fetchOptions may be async (fresh auth token)
+  events.length = 0;
+  const flaky = stubFetch(503, { zones: zones("a") });
+  const ok = await mount(t, { jsonUrl: "/zones.json", options: { fetcher: flaky, retries: 1, retryDelay: 1, on, fetchOptions: async () => ({ headers: { Authorization: "Bearer t" } }) } });
+  assert.deepEqual(events, ["loading", "loaded 1"]);
+  assert.equal(flaky.calls.length, 2);
+  assert.equal(flaky.calls[1].init.headers.Authorization, "Bearer t");
+  assert.equal(ok.$(".zmw-overlay").hidden, true);
+
+  const missing = stubFetch(404, 404, { zones: zones("a") });
+  const gone = await mount(t, { jsonUrl: "/zones.json", options: { fetcher: missing, retries: 3, retryDelay: 1 } });
+  await assert.rejects(gone.viewer.reload(), { code: "http", status: 404, attempts: 1 });
+  assert.equal(missing.calls.length, 2, "4xx is not retried");
+  // the retry button loads again
+  gone.$("[data-zmw-retry]").click();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(gone.viewer.getZones().length, 1);
+  assert.equal(gone.$(".zmw-overlay").hidden, true);
+
+  // a request that never answers is aborted after `timeout`, once per attempt
+  const hanging = (url, init) => new Promise((resolve, reject) => {
+    hanging.signals.push(init.signal);
+    init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+  });
+  hanging.signals = [];
+  events.length = 0;
+  await mount(t, { jsonUrl: "/zones.json", options: { fetcher: hanging, timeout: 10, retries: 1, retryDelay: 1, on } });
+  assert.deepEqual([events[1].code, events[1].attempts], ["timeout", 2]);
+  assert.equal(hanging.signals.length, 2);
+  assert.ok(hanging.signals.every(signal => signal.aborted));
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const core = require("../zw-core.js");
+const { loadScript, startServer } = require("./helpers.js");
+
+// the editor runs in its own realm: copy its objects before deepEqual
+const { ZoneWidget } = loadScript("zw-editor.js");
+
+const doc = {
+  version: core.SCHEMA_VERSION,
+  zones: [{ id: "a", name: "A", geojson: { type: "Polygon", coordinates: [[[76.9, 43.2], [76.91, 43.2], [76.91, 43.21], [76.9, 43.2]]] } }]
+};
+
+// records requests, answers with the queued responses
+function fakeFetch(...responses) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push({ url, ...init });
+    const { status = 200, body = null } = responses.shift() || {};
+    return { status, ok: status >= 200 && status < 300, json: async () => body };
+  };
+  return { fetch, calls };
+}
+
+test("rest: load returns the payload, null on 404, throws on other errors", async () => {
+  const { fetch, calls } = fakeFetch({ body: doc }, { status: 404 }, { status: 500 });
+  const storage = ZoneWidget.storage.rest("/api/zones", { fetch, headers: { Authorization: "Bearer t" } });
+
+  assert.deepEqual(await storage.load(), doc);
+  assert.equal(await storage.load(), null);
+  await assert.rejects(storage.load(), /GET \/api\/zones: HTTP 500/);
+
+  assert.equal(calls[0].url, "/api/zones");
+  assert.equal(calls[0].method, undefined);
+  assert.equal(calls[0].credentials, "same-origin");
+  assert.deepEqual({ ...calls[0].headers }, { Accept: "application/json", Authorization: "Bearer t" });
+});
+
+test("rest: save PUTs the JSON, headers may be a function, errors throw", async () => {
+  let token = 0;
+  const { fetch, calls } = fakeFetch({ status: 204 }, { status: 422 });
+  const storage = ZoneWidget.storage.rest("/api/zones", { fetch, credentials: "include", headers: async () => ({ Authorization: `Bearer ${++token}` }) });
+
+  await storage.save(doc);
+  await assert.rejects(storage.save(doc), /PUT \/api\/zones: HTTP 422/);
+
+  assert.equal(calls[0].method, "PUT");
+  assert.equal(calls[0].credentials, "include");
+  assert.deepEqual(JSON.parse(calls[0].body), doc);
+  assert.deepEqual(calls.map(c => ({ ...c.headers })), [
+    { "Content-Type": "application/json", Authorization: "Bearer 1" },
+    { "Content-Type": "application/json", Authorization: "Bearer 2" }
+  ]);
+});
+
+test("rest against the stand-in server: 404, PUT, GET, invalid document", async (t) => {
+  const server = await startServer("--empty");
+  t.after(() => server.stop());
+  const storage = ZoneWidget.storage.rest(`${server.url}/zones.json`, { fetch });
+
+  assert.equal(await storage.load(), null);
+  await storage.save(doc);
+  assert.deepEqual(await storage.load(), doc);
+
+  await assert.rejects(storage.save({ version: core.SCHEMA_VERSION, zones: [{ id: "b" }] }), /HTTP 422/);
+  assert.deepEqual(await storage.load(), doc);
+
+  const res = await fetch(`${server.url}/zones.json`, { method: "PUT", body: "{" });
+  assert.equal(res.status, 400);
+});
+
+// raw upgrade to the stand-in server's /zones/ws -> { next(): Promise<message>, close() }
+function connectSocket(url) {
+  const key = crypto.randomBytes(16).toString("base64");
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${url}/zones/ws`, { headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Version": "13", "Sec-WebSocket-Key": key } });
+    // frames that came with the 101 response are in `head`
+    req.on("upgrade", (res, socket, head) => {
+      const expected = crypto.createHash("sha1").update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64");
+      assert.equal(res.headers["sec-websocket-accept"], expected);
+      let buf = Buffer.alloc(0);
+      const messages = [];
+      const waiting = [];
+      const receive = (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        while (buf.length >= 2) {
+          let len = buf[1] & 127;
+          let offset = 2;
+          if (len === 126) { len = buf.readUInt16BE(2); offset = 4; }
+          else if (len === 127) { len = Number(buf.readBigUInt64BE(2)); offset = 10; }
+          if (buf.length < offset + len) break;
+          if ((buf[0] & 15) === 1) messages.push(JSON.parse(buf.subarray(offset, offset + len).toString()));
+          buf = buf.subarray(offset + len);
+        }
+        while (messages.length && waiting.length) waiting.shift()(messages.shift());
+      };
+      socket.on("data", receive);
+      receive(head);
+      resolve({
+        next: () => new Promise(done => messages.length ? done(messages.shift()) : waiting.push(done)),
+        close: () => socket.destroy()
+      });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("stand-in server WebSocket: the document on connect, then what PUT stores", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const socket = await connectSocket(server.url);
+  t.after(() => socket.close());
+
+  const first = await socket.next();
+  assert.ok(Array.isArray(first.zones) && first.zones.length > 0);
+
+  const res = await fetch(`${server.url}/zones.json`, { method: "PUT", body: JSON.stringify(doc) });
+  assert.equal(res.status, 204);
+  // dispatcher patches may arrive in between
+  let msg;
+  do msg = await socket.next(); while (!msg.zones);
+  assert.deepEqual(msg, doc);
+});
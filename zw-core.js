@@ -0,0 +1,2170 @@
+/*!
+ * ZoneWidgetCore
+ * Leaflet-free helpers shared by zw-editor.js and zw-render.js.
+ * Works as a browser global (window.ZoneWidgetCore) and as a Node module:
+ *   const core = require("./zw-core.js");
+ * Coordinates follow GeoJSON: [lng, lat].
+ * - geometry validation, overlap detection and clipping
+ * - geodesic area / perimeter / vertex statistics
+ * - point-in-zone lookup (works on exported JSON as is)
+ * - GeoJSON FeatureCollection / KML / GPX conversion
+ * - tile (base layer) configuration shared by editor and viewer
+ * - SVG / canvas zone thumbnails
+ * - Leaflet / Leaflet.Draw asset loader (CDN, self-hosted `assetBase` or already bundled)
+ */
+(function (global) {
+  "use strict";
+
+  const OVERLAP_POLICIES = ["allow", "warn", "forbid", "clip"];
+
+  // ----- Geometry access
+
+  /**
+   * Polygons of a zone geojson (Feature, FeatureCollection, Polygon, MultiPolygon,
+   * GeometryCollection) as arrays of rings. Non-polygon parts are skipped.
+   * @param {Object} geojson
+   * @returns {Array<Array<Array<number[]>>>}
+   */
+  function polygonsOf(geojson) {
+    const out = [];
+    walkGeometries(geojson, (g) => {
+      if (g.type === "Polygon") out.push(g.coordinates);
+      else if (g.type === "MultiPolygon") g.coordinates.forEach(p => out.push(p));
+    });
+    return out;
+  }
+
+  function walkGeometries(geojson, fn) {
+    if (!geojson || typeof geojson !== "object") return;
+    if (geojson.type === "Feature") return walkGeometries(geojson.geometry, fn);
+    if (geojson.type === "FeatureCollection") return (geojson.features || []).forEach(f => walkGeometries(f, fn));
+    if (geojson.type === "GeometryCollection") return (geojson.geometries || []).forEach(g => walkGeometries(g, fn));
+    fn(geojson);
+  }
+
+  /** Geometry for a list of polygons: Polygon for one, MultiPolygon for many, null for none. */
+  function geometryOf(polygons) {
+    if (!polygons.length) return null;
+    if (polygons.length === 1) return { type: "Polygon", coordinates: polygons[0] };
+    return { type: "MultiPolygon", coordinates: polygons };
+  }
+
+  // ----- Validation
+
+  /**
+   * Validate a zone geojson.
+   * Fatal problems go to `errors`; auto-fixed or suspicious ones to `warnings`.
+   * Unclosed rings are closed in the returned `geojson` copy.
+   * @param {Object} geojson
+   * @param {Object} [opts]
+   * @param {number[]} [opts.near] - [lat, lng] the zones are expected around (swapped lng/lat hint)
+   * Issues are `{ code, message, params? }`: `message` is Russian, `code` (+ `params`) is for UI translation.
+   * @returns {{ errors: Array<{code:string,message:string,params?:Object}>, warnings: Array<{code:string,message:string,params?:Object}>, geojson: Object|null }}
+   */
+  function validateGeometry(geojson, opts = {}) {
+    const errors = [];
+    const warnings = [];
+    const add = (list, code, message, params) => {
+      if (!list.some(e => e.code === code)) list.push(params ? { code, message, params } : { code, message });
+    };
+
+    if (!geojson || typeof geojson !== "object") {
+      add(errors, "missing", "нет geojson");
+      return { errors, warnings, geojson: null };
+    }
+
+    const copy = JSON.parse(JSON.stringify(geojson));
+    let polygons = 0;
+
+    const checkPolygon = (rings) => {
+      polygons++;
+      if (!Array.isArray(rings) || !rings.length) return add(errors, "empty", "пустые координаты полигона");
+      rings.forEach((ring) => {
+        if (!Array.isArray(ring) || !ring.length) return add(errors, "empty", "пустое кольцо полигона");
+        if (!ring.every(isPosition)) return add(errors, "coordinates", "координаты должны быть парами чисел [lng, lat]");
+
+        if (ring.some(p => Math.abs(p[1]) > 90 || Math.abs(p[0]) > 180)) {
+          const swappedFits = ring.every(p => Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180);
+          if (swappedFits) add(errors, "swapped", "широта вне диапазона: похоже, перепутаны долгота и широта (GeoJSON ожидает [lng, lat])");
+          else add(errors, "range", "координаты вне допустимого диапазона");
+          return;
+        }
+
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          ring.push([first[0], first[1]]);
+          add(warnings, "unclosed", "незамкнутое кольцо было замкнуто автоматически");
+        }
+        if (ring.length < 4) return add(errors, "too-few-points", "в кольце меньше трёх точек");
+        if (ringSelfIntersects(ring)) add(errors, "self-intersection", "контур пересекает сам себя");
+      });
+    };
+
+    walkGeometries(copy, (g) => {
+      if (g.type === "Polygon") checkPolygon(g.coordinates);
+      else if (g.type === "MultiPolygon") {
+        if (!Array.isArray(g.coordinates) || !g.coordinates.length) add(errors, "empty", "пустые координаты полигона");
+        else g.coordinates.forEach(checkPolygon);
+      } else {
+        add(errors, "type", `недопустимый тип геометрии: ${g.type || "?"} (ожидался Polygon/MultiPolygon)`, { type: g.type || "?" });
+      }
+    });
+
+    if (!polygons && !errors.length) add(errors, "empty", "в geojson нет полигонов");
+
+    // In range but far from where the zones live, while the swapped point is close: likely [lat, lng] order
+    if (!errors.length && Array.isArray(opts.near)) {
+      const b = bboxOf(polygonsOf(copy));
+      const c = [(b[1] + b[3]) / 2, (b[0] + b[2]) / 2];
+      const direct = haversine(opts.near, c);
+      const swapped = haversine(opts.near, [c[1], c[0]]);
+      if (direct > 300000 && swapped < 300000) {
+        add(warnings, "maybe-swapped", "зона далеко от карты: возможно, перепутаны долгота и широта");
+      }
+    }
+
+    return { errors, warnings, geojson: errors.length ? null : copy };
+  }
+
+  function isPosition(p) {
+    return Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+  }
+
+  function ringSelfIntersects(ring) {
+    const n = ring.length - 1; // closed ring: last === first
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        // adjacent segments share a vertex by design
+        if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+        if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+      }
+    }
+    return false;
+  }
+
+  // ----- Planar primitives (lng/lat treated as x/y: fine for city-sized zones)
+
+  function orient(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  }
+
+  function onSegment(a, b, p) {
+    return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+      Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+  }
+
+  // true for proper crossings and for collinear overlaps/touches
+  function segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = orient(p3, p4, p1);
+    const d2 = orient(p3, p4, p2);
+    const d3 = orient(p1, p2, p3);
+    const d4 = orient(p1, p2, p4);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    if (d1 === 0 && onSegment(p3, p4, p1)) return true;
+    if (d2 === 0 && onSegment(p3, p4, p2)) return true;
+    if (d3 === 0 && onSegment(p1, p2, p3)) return true;
+    if (d4 === 0 && onSegment(p1, p2, p4)) return true;
+    return false;
+  }
+
+  function segmentsCross(p1, p2, p3, p4) {
+    const d1 = orient(p3, p4, p1);
+    const d2 = orient(p3, p4, p2);
+    const d3 = orient(p1, p2, p3);
+    const d4 = orient(p1, p2, p4);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  }
+
+  // even-odd ray casting; boundary points are not handled specially
+  function pointInRing(pt, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const xi = ring[i][0], yi = ring[i][1];
+      const xj = ring[j][0], yj = ring[j][1];
+      if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < (xj - xi) * (pt[1] - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function pointOnRing(pt, ring, eps = 1e-12) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i], b = ring[i + 1];
+      if (Math.abs(orient(a, b, pt)) <= eps * Math.max(1, Math.hypot(b[0] - a[0], b[1] - a[1])) && onSegment(a, b, pt)) return true;
+    }
+    return false;
+  }
+
+  function pointInPolygonRings(pt, rings) {
+    if (!pointInRing(pt, rings[0])) return false;
+    for (let i = 1; i < rings.length; i++) if (pointInRing(pt, rings[i])) return false;
+    return true;
+  }
+
+  // strictly inside: not on any boundary
+  function pointStrictlyInside(pt, rings) {
+    if (rings.some(r => pointOnRing(pt, r))) return false;
+    return pointInPolygonRings(pt, rings);
+  }
+
+  function bboxOf(polygons) {
+    const b = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(p => (p[0] || []).forEach((pt) => {
+      if (pt[0] < b[0]) b[0] = pt[0];
+      if (pt[1] < b[1]) b[1] = pt[1];
+      if (pt[0] > b[2]) b[2] = pt[0];
+      if (pt[1] > b[3]) b[3] = pt[1];
+    }));
+    return b;
+  }
+
+  function bboxesIntersect(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+  }
+
+  /** Great-circle distance in meters between [lat, lng] points. */
+  function haversine(a, b) {
+    const R = 6371008.8;
+    const rad = Math.PI / 180;
+    const dLat = (b[0] - a[0]) * rad;
+    const dLng = (b[1] - a[1]) * rad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a[0] * rad) * Math.cos(b[0] * rad) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // ----- Overlap
+
+  function polygonsOverlap(a, b) {
+    if (!bboxesIntersect(bboxOf([a]), bboxOf([b]))) return false;
+    const ra = a[0], rb = b[0];
+    for (let i = 0; i < ra.length - 1; i++) {
+      for (let j = 0; j < rb.length - 1; j++) {
+        if (segmentsCross(ra[i], ra[i + 1], rb[j], rb[j + 1])) return true;
+      }
+    }
+    // no crossing edges: overlap only if one reaches inside the other (shared borders don't count)
+    return probePoints(a).some(pt => pointStrictlyInside(pt, b)) ||
+      probePoints(b).some(pt => pointStrictlyInside(pt, a));
+  }
+
+  // vertices, edge midpoints and the centroid of the outer ring: enough to catch shared-edge overlaps
+  function probePoints(rings) {
+    const ring = rings[0];
+    const pts = ring.slice();
+    for (let i = 0; i < ring.length - 1; i++) {
+      pts.push([(ring[i][0] + ring[i + 1][0]) / 2, (ring[i][1] + ring[i + 1][1]) / 2]);
+    }
+    const c = ringCentroid(ring);
+    if (c && pointStrictlyInside(c, rings)) pts.push(c);
+    return pts;
+  }
+
+  function ringCentroid(ring) {
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const f = ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+      a += f;
+      cx += (ring[i][0] + ring[i + 1][0]) * f;
+      cy += (ring[i][1] + ring[i + 1][1]) * f;
+    }
+    if (!a) return null;
+    return [cx / (3 * a), cy / (3 * a)];
+  }
+
+  /**
+   * Do two zone geometries overlap (share interior area)? Touching borders is not an overlap.
+   * @param {Object} geoA
+   * @param {Object} geoB
+   * @returns {boolean}
+   */
+  function geometriesOverlap(geoA, geoB) {
+    const pa = polygonsOf(geoA);
+    const pb = polygonsOf(geoB);
+    return pa.some(a => pb.some(b => polygonsOverlap(a, b)));
+  }
+
+  /**
+   * Ids of zones overlapping the given geojson.
+   * @param {Object} geojson
+   * @param {Array<{id:string, geojson:Object}>} zones
+   * @param {string} [skipId] - zone to ignore (the one being edited)
+   * @returns {string[]}
+   */
+  function findOverlaps(geojson, zones, skipId) {
+    return zones
+      .filter(z => z.id !== skipId && z.geojson && geometriesOverlap(geojson, z.geojson))
+      .map(z => z.id);
+  }
+
+  // ----- Clipping (Greiner–Hormann difference for simple polygons)
+
+  /**
+   * geoA minus geoB. Holes of geoB are ignored (B is treated as solid).
+   * @param {Object} geoA
+   * @param {Object} geoB
+   * @returns {Object|null} Polygon/MultiPolygon geometry, null when nothing is left
+   */
+  function subtractGeometry(geoA, geoB) {
+    let parts = polygonsOf(geoA);
+    polygonsOf(geoB).forEach((b) => {
+      const next = [];
+      parts.forEach(a => subtractPolygon(a, b[0]).forEach(p => next.push(p)));
+      parts = next;
+    });
+    return geometryOf(parts);
+  }
+
+  // polygon (rings) minus a clip ring -> list of polygons
+  function subtractPolygon(rings, clipRing) {
+    if (!polygonsOverlap(rings, [clipRing])) return [rings];
+
+    const outer = openRing(rings[0]);
+    const holes = rings.slice(1);
+    const original = openRing(clipRing);
+
+    // shared vertices/edges break Greiner–Hormann: nudge the clip ring a hair off them. A clip touching the
+    // outline from inside has to stick out through it (not turn into a touching hole), so try other directions
+    let pieces = null;
+    for (const dir of isDegenerate(outer, original) ? NUDGES : [[0, 0]]) {
+      pieces = greinerHormannDiff(outer, nudgeOff(outer, original, dir));
+      if (pieces !== null) break;
+    }
+    if (pieces === null) {
+      // no edge crossings: either A is inside the clip (nothing left) or the clip is inside A (becomes a hole)
+      if (pointInRing(outer[0], closeRing(original))) return [];
+      return [[rings[0], ...holes, closeRing(original).reverse()]];
+    }
+
+    // the nudge leaves near-copies of the input vertices, hair-thin spikes and slivers: snap the copies back
+    // (splitting at the slivers), drop near-collinear vertices and negligible pieces
+    const inputs = outer.concat(original);
+    const minArea = Math.abs(ringArea(closeRing(outer))) * 1e-6;
+    return pieces
+      .flatMap(p => snapRings(p, inputs))
+      .map(dropSpikes)
+      .filter(p => p.length >= 3 && Math.abs(ringArea(closeRing(p))) > minArea)
+      .map((p) => {
+        const ring = closeRing(p);
+        // keep the original holes that still fall inside this piece
+        const kept = holes.filter(h => pointInRing(h[0], ring) && !pointInRing(h[0], closeRing(original)));
+        return [ring, ...kept];
+      });
+  }
+
+  const NUDGES = [[1, 0.5], [-1, -0.5], [-0.5, 1], [0.5, -1]];
+
+  function nudgeOff(outer, clip, [dx, dy]) {
+    let moved = clip;
+    for (let k = 1; k <= 3 && isDegenerate(outer, moved); k++) {
+      const eps = 1e-9 * k;
+      moved = clip.map(p => [p[0] + eps * dx, p[1] + eps * dy]);
+    }
+    return moved;
+  }
+
+  // vertices within ~1 mm of an input vertex become that vertex. The nudged copy of a shared edge leaves
+  // a zero-width sliver along it: there-and-back spikes (a, b, a) collapse and a ring that passes a vertex
+  // twice splits there -> open rings
+  function snapRings(ring, inputs) {
+    const same = (p, q) => p[0] === q[0] && p[1] === q[1];
+    const todo = [ring.map(p => inputs.find(v => Math.abs(v[0] - p[0]) < 1e-8 && Math.abs(v[1] - p[1]) < 1e-8) || p)
+      .map(p => [p[0], p[1]])];
+    const out = [];
+    while (todo.length) {
+      const pts = todo.pop();
+      let changed = true;
+      while (changed && pts.length >= 3) {
+        changed = false;
+        for (let i = 0; i < pts.length && pts.length >= 3; i++) {
+          const n = pts.length;
+          if (same(pts[i], pts[(i + 1) % n]) || same(pts[(i - 1 + n) % n], pts[(i + 1) % n])) {
+            pts.splice(i, 1);
+            changed = true;
+          }
+        }
+      }
+      const i = pts.findIndex((p, k) => pts.some((q, m) => m > k && same(p, q)));
+      if (i < 0) {
+        out.push(pts);
+        continue;
+      }
+      const j = pts.findIndex((q, m) => m > i && same(pts[i], q));
+      todo.push(pts.slice(i, j), pts.slice(j).concat(pts.slice(0, i)));
+    }
+    return out;
+  }
+
+  function openRing(ring) {
+    const r = ring.map(p => [p[0], p[1]]);
+    const a = r[0], b = r[r.length - 1];
+    if (r.length > 1 && a[0] === b[0] && a[1] === b[1]) r.pop();
+    return r;
+  }
+
+  // remove vertices closer than ~1 mm to the line through their neighbours (open ring)
+  function dropSpikes(ring) {
+    const pts = ring.slice();
+    let changed = true;
+    while (changed && pts.length >= 3) {
+      changed = false;
+      for (let i = 0; i < pts.length && pts.length >= 3; i++) {
+        const a = pts[(i - 1 + pts.length) % pts.length];
+        const b = pts[(i + 1) % pts.length];
+        const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        const dist = len ? Math.abs(orient(a, b, pts[i])) / len : Math.hypot(pts[i][0] - a[0], pts[i][1] - a[1]);
+        if (dist < 1e-8) {
+          pts.splice(i, 1);
+          changed = true;
+        }
+      }
+    }
+    return pts;
+  }
+
+  function ringArea(ring) {
+    let a = 0;
+    for (let i = 0; i < ring.length - 1; i++) a += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return a / 2;
+  }
+
+  function closeRing(ring) {
+    return ring.concat([[ring[0][0], ring[0][1]]]);
+  }
+
+  function isDegenerate(a, b) {
+    const ca = closeRing(a), cb = closeRing(b);
+    return a.some(p => pointOnRing(p, cb, 1e-12)) || b.some(p => pointOnRing(p, ca, 1e-12));
+  }
+
+  function makeList(points) {
+    const nodes = points.map(p => ({ x: p[0], y: p[1], next: null, prev: null, isect: false, alpha: 0, entry: false, visited: false, neighbor: null }));
+    nodes.forEach((n, i) => {
+      n.next = nodes[(i + 1) % nodes.length];
+      n.prev = nodes[(i - 1 + nodes.length) % nodes.length];
+    });
+    return nodes;
+  }
+
+  function insertBetween(node, start, end) {
+    let cur = start.next;
+    while (cur !== end && cur.alpha < node.alpha) cur = cur.next;
+    node.next = cur;
+    node.prev = cur.prev;
+    cur.prev.next = node;
+    cur.prev = node;
+  }
+
+  function greinerHormannDiff(subjectPts, clipPts) {
+    const subject = makeList(subjectPts);
+    const clip = makeList(clipPts);
+    let found = false;
+
+    // phase 1: intersections (original vertices only)
+    subject.forEach((s1) => {
+      const s2 = subject[(subject.indexOf(s1) + 1) % subject.length];
+      clip.forEach((c1, ci) => {
+        const c2 = clip[(ci + 1) % clip.length];
+        const den = (c2.y - c1.y) * (s2.x - s1.x) - (c2.x - c1.x) * (s2.y - s1.y);
+        if (den === 0) return;
+        const ua = ((c2.x - c1.x) * (s1.y - c1.y) - (c2.y - c1.y) * (s1.x - c1.x)) / den;
+        const ub = ((s2.x - s1.x) * (s1.y - c1.y) - (s2.y - s1.y) * (s1.x - c1.x)) / den;
+        if (!(ua > 0 && ua < 1 && ub > 0 && ub < 1)) return;
+        const x = s1.x + ua * (s2.x - s1.x);
+        const y = s1.y + ua * (s2.y - s1.y);
+        const is = { x, y, isect: true, alpha: ua, entry: false, visited: false, neighbor: null };
+        const ic = { x, y, isect: true, alpha: ub, entry: false, visited: false, neighbor: null };
+        is.neighbor = ic;
+        ic.neighbor = is;
+        insertBetween(is, s1, s2);
+        insertBetween(ic, c1, c2);
+        found = true;
+      });
+    });
+    if (!found) return null;
+
+    // phase 2: entry/exit flags; difference walks the subject outside the clip and the clip inside the subject
+    const mark = (first, other, forwards) => {
+      let status = forwards !== pointInRing([first.x, first.y], closeRing(other));
+      let cur = first;
+      do {
+        if (cur.isect) {
+          cur.entry = status;
+          status = !status;
+        }
+        cur = cur.next;
+      } while (cur !== first);
+    };
+    mark(subject[0], clipPts, false);
+    mark(clip[0], subjectPts, true);
+
+    // phase 3: trace result rings
+    const result = [];
+    const nextUnvisited = () => {
+      let cur = subject[0];
+      do {
+        if (cur.isect && !cur.visited) return cur;
+        cur = cur.next;
+      } while (cur !== subject[0]);
+      return null;
+    };
+    const visit = (n) => {
+      n.visited = true;
+      if (n.neighbor && !n.neighbor.visited) n.neighbor.visited = true;
+    };
+
+    let start;
+    while ((start = nextUnvisited())) {
+      let cur = start;
+      const ring = [[cur.x, cur.y]];
+      let guard = 0;
+      do {
+        visit(cur);
+        if (cur.entry) {
+          do { cur = cur.next; ring.push([cur.x, cur.y]); } while (!cur.isect);
+        } else {
+          do { cur = cur.prev; ring.push([cur.x, cur.y]); } while (!cur.isect);
+        }
+        cur = cur.neighbor;
+        if (++guard > 100000) break;
+      } while (!cur.visited);
+      ring.pop(); // last point repeats the start
+      result.push(ring);
+    }
+    return result;
+  }
+
+  // ----- Measurements
+
+  const EARTH_RADIUS = 6378137; // WGS84 equatorial, same as Leaflet.Draw's geodesicArea
+
+  // spherical-excess approximation of a ring area (m², unsigned)
+  function ringGeodesicArea(ring) {
+    const rad = Math.PI / 180;
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const p1 = ring[i], p2 = ring[i + 1];
+      area += (p2[0] - p1[0]) * rad * (2 + Math.sin(p1[1] * rad) + Math.sin(p2[1] * rad));
+    }
+    return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+  }
+
+  function ringLength(ring) {
+    let len = 0;
+    for (let i = 0; i < ring.length - 1; i++) len += haversine([ring[i][1], ring[i][0]], [ring[i + 1][1], ring[i + 1][0]]);
+    return len;
+  }
+
+  /**
+   * Geodesic statistics of a zone geojson. Holes reduce the area and add to the perimeter.
+   * @param {Object} geojson
+   * @returns {{ area: number, perimeter: number, vertices: number }} area in m², perimeter in m
+   */
+  function zoneStats(geojson) {
+    let area = 0, perimeter = 0, vertices = 0;
+    polygonsOf(geojson).forEach((rings) => {
+      (rings || []).forEach((ring, i) => {
+        if (!Array.isArray(ring) || ring.length < 2) return;
+        const closed = closeIfOpen(ring);
+        area += (i === 0 ? 1 : -1) * ringGeodesicArea(closed);
+        perimeter += ringLength(closed);
+        vertices += closed.length - 1;
+      });
+    });
+    return { area: Math.max(0, area), perimeter, vertices };
+  }
+
+  function closeIfOpen(ring) {
+    const a = ring[0], b = ring[ring.length - 1];
+    return (a[0] === b[0] && a[1] === b[1]) ? ring : ring.concat([a]);
+  }
+
+  const AREA_UNITS = {
+    m2: { factor: 1, label: "м²", digits: 0 },
+    ha: { factor: 1e4, label: "га", digits: 2 },
+    km2: { factor: 1e6, label: "км²", digits: 2 }
+  };
+
+  const LENGTH_UNITS = { m: "м", km: "км" };
+
+  function formatNumber(value, digits, locale) {
+    return value.toLocaleString(locale || "ru-RU", { maximumFractionDigits: digits });
+  }
+
+  /**
+   * @param {number} m2
+   * @param {"auto"|"m2"|"ha"|"km2"} [unit="auto"] - auto: m² below 1 ha, ha below 1 km², then km²
+   * @param {string} [locale]
+   * @param {Object} [labels] - unit labels `{ m2, ha, km2 }` (default Russian)
+   * @returns {string}
+   */
+  function formatArea(m2, unit = "auto", locale, labels = {}) {
+    const key = AREA_UNITS[unit] ? unit : (m2 < 1e4 ? "m2" : m2 < 1e6 ? "ha" : "km2");
+    const u = AREA_UNITS[key];
+    return `${formatNumber(m2 / u.factor, u.digits, locale)} ${labels[key] || u.label}`;
+  }
+
+  /**
+   * @param {number} m
+   * @param {string} [locale]
+   * @param {Object} [labels] - unit labels `{ m, km }` (default Russian)
+   * @returns {string} meters below 1 km, kilometers above
+   */
+  function formatLength(m, locale, labels = {}) {
+    return m < 1000
+      ? `${formatNumber(m, 0, locale)} ${labels.m || LENGTH_UNITS.m}`
+      : `${formatNumber(m / 1000, 2, locale)} ${labels.km || LENGTH_UNITS.km}`;
+  }
+
+  // ----- Shapes: circles and corridors are stored as polygons plus a `shape` record to edit them again
+  // shape: { type: "circle", center: [lat, lng], radius (m) } | { type: "corridor", line: [[lat, lng], ...], buffer (m) }
+
+  const SPHERE_RADIUS = 6371008.8; // same sphere as haversine, so vertices are `radius` meters away by haversine
+
+  /**
+   * Circle as a polygon (geodesic: every vertex is `radius` meters from the center).
+   * @param {number[]} center - [lat, lng]
+   * @param {number} radius - meters
+   * @param {number} [segments=64] - number of vertices
+   * @returns {Object} GeoJSON Feature<Polygon>
+   */
+  function circlePolygon(center, radius, segments = 64) {
+    const rad = Math.PI / 180;
+    const lat1 = center[0] * rad;
+    const lng1 = center[1] * rad;
+    const d = radius / SPHERE_RADIUS;
+    const n = Math.max(8, Math.round(segments));
+    const ring = [];
+    for (let i = 0; i < n; i++) {
+      const brg = -2 * Math.PI * i / n; // counter-clockwise, as RFC 7946 wants for outer rings
+      const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brg));
+      const lng2 = lng1 + Math.atan2(Math.sin(brg) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+      ring.push([lng2 / rad, lat2 / rad]);
+    }
+    ring.push(ring[0].slice());
+    return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [ring] } };
+  }
+
+  /**
+   * Corridor: the area within `buffer` meters of a polyline (round caps and joins), as one polygon.
+   * Loops of a self-crossing (or nearly closed) line that the buffer does not cover stay holes.
+   * Computed in a local metric projection, fine for city-sized lines.
+   * @param {number[][]} latlngs - [[lat, lng], ...]
+   * @param {number} buffer - meters on each side of the line
+   * @param {number} [segments=16] - vertices per half circle of caps and joins
+   * @returns {Object|null} GeoJSON Feature<Polygon> (MultiPolygon if parts only touch), null for an empty line or buffer
+   */
+  function bufferLine(latlngs, buffer, segments = 16) {
+    const pts = (latlngs || []).filter((p, i, all) => !i || p[0] !== all[i - 1][0] || p[1] !== all[i - 1][1]);
+    if (!pts.length || !(buffer > 0)) return null;
+    if (pts.length === 1) return circlePolygon(pts[0], buffer, segments * 2);
+
+    const rad = Math.PI / 180;
+    const lat0 = pts.reduce((s, p) => s + p[0], 0) / pts.length;
+    const lng0 = pts.reduce((s, p) => s + p[1], 0) / pts.length;
+    const ky = SPHERE_RADIUS * rad;
+    const kx = ky * Math.cos(lat0 * rad);
+    const xy = pts.map(p => [(p[1] - lng0) * kx, (p[0] - lat0) * ky]);
+    const step = Math.PI / Math.max(2, segments);
+
+    // left side of the line (round joins on the outer side of turns) + the cap around its last point
+    function side(line) {
+      const normals = [];
+      for (let i = 0; i < line.length - 1; i++) {
+        const dx = line[i + 1][0] - line[i][0];
+        const dy = line[i + 1][1] - line[i][1];
+        const len = Math.hypot(dx, dy);
+        normals.push([-dy / len, dx / len]);
+      }
+      const at = (p, nrm) => [p[0] + nrm[0] * buffer, p[1] + nrm[1] * buffer];
+      const arc = (c, from, sweep, out) => {
+        const steps = Math.max(1, Math.ceil(sweep / step));
+        for (let k = 0; k <= steps; k++) {
+          const a = from - sweep * k / steps; // clockwise
+          out.push([c[0] + Math.cos(a) * buffer, c[1] + Math.sin(a) * buffer]);
+        }
+      };
+      const angle = nrm => Math.atan2(nrm[1], nrm[0]);
+      const out = [at(line[0], normals[0])];
+      for (let i = 1; i < line.length - 1; i++) {
+        const na = normals[i - 1];
+        const nb = normals[i];
+        const turn = na[0] * nb[1] - na[1] * nb[0];
+        if (turn < 0 || (turn === 0 && na[0] * nb[0] + na[1] * nb[1] < 0)) {
+          // right turn (or turning back): the left side is the outer one
+          const sweep = ((angle(na) - angle(nb)) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+          arc(line[i], angle(na), sweep, out);
+        } else {
+          // inner side: going through the vertex keeps the small loop these points make wound the same way
+          out.push(at(line[i], na), line[i], at(line[i], nb));
+        }
+      }
+      const last = normals[normals.length - 1];
+      arc(line[line.length - 1], angle(last), Math.PI, out);
+      return out;
+    }
+
+    let ring = side(xy).concat(side(xy.slice().reverse()));
+    ring = ring.filter((p, i) => {
+      const q = ring[(i + 1) % ring.length];
+      return Math.abs(p[0] - q[0]) > 1e-9 || Math.abs(p[1] - q[1]) > 1e-9;
+    });
+    // the outline crosses itself (inner turns, loops of the line): keep the area it winds around.
+    // Vertices get a tiny fixed shift first: edges of a closed or retraced line lie on each other and never cross properly
+    const jitter = buffer * 1e-5;
+    const shifted = ring.map((p, i) => [p[0] + jitter * Math.sin(i * 12.9898), p[1] + jitter * Math.cos(i * 78.233)]);
+    let rings = windingRings(shifted);
+    // slivers between such edges
+    if (rings) rings = rings.filter(r => Math.abs(signedArea(r)) > buffer * buffer * 1e-4);
+    if (rings && !rings.length) rings = null;
+    if (!rings) {
+      // numeric corner cases where the pieces do not chain up: the outer outline only (loops filled)
+      const outer = removeLoops(ring);
+      rings = [(signedArea(outer) < 0) ? outer.reverse() : outer];
+    }
+
+    const toLngLat = (r) => {
+      const coords = r.map(p => [lng0 + p[0] / kx, lat0 + p[1] / ky]);
+      coords.push(coords[0].slice());
+      return coords;
+    };
+    const polygons = rings.filter(r => signedArea(r) > 0).map(r => [r]);
+    rings.filter(r => signedArea(r) < 0).forEach((hole) => {
+      const owner = polygons.find(p => pointInRing(hole[0], p[0])) || polygons[0];
+      if (owner) owner.push(hole);
+    });
+    const geometry = geometryOf(polygons.map(p => p.map(toLngLat)));
+    return geometry ? { type: "Feature", properties: {}, geometry } : null;
+  }
+
+  function signedArea(ring) {
+    let s = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) s += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    return s / 2;
+  }
+
+  /**
+   * Outline of the area a self-crossing open ring winds around (nonzero rule). The ring is cut at its crossings;
+   * a piece stays when the area is on one side of it only, turned so that the area is on its left.
+   * @param {number[][]} ring - open ring, planar coordinates (no coincident edges)
+   * @returns {number[][][]|null} open rings: outer counter-clockwise, holes clockwise; null when the pieces do not chain up
+   */
+  function windingRings(ring) {
+    const n = ring.length;
+    const cuts = ring.map(() => []);
+    for (let i = 0; i < n; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % n];
+      for (let j = i + 2; j < n; j++) {
+        if (i === 0 && j === n - 1) continue;
+        const c = ring[j];
+        const d = ring[(j + 1) % n];
+        if (!segmentsCross(a, b, c, d)) continue;
+        const t = orient(c, d, a) / (orient(c, d, a) - orient(c, d, b));
+        const x = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        // ordered along each edge by projection: close crossings of near-parallel edges stay consistent
+        const along = (p, q) => (x[0] - p[0]) * (q[0] - p[0]) + (x[1] - p[1]) * (q[1] - p[1]);
+        cuts[i].push({ t: along(a, b), x });
+        cuts[j].push({ t: along(c, d), x });
+      }
+    }
+
+    const sign = (signedArea(ring) < 0) ? -1 : 1;
+    const pieces = [];
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % n];
+      const pts = [a].concat(cuts[i].sort((p, q) => p.t - q.t).map(c => c.x), [b]);
+      for (let k = 0; k < pts.length - 1; k++) {
+        const p = pts[k];
+        const q = pts[k + 1];
+        if (p[0] === q[0] && p[1] === q[1]) continue;
+        // winding just right of the piece (its own edge left out; a downward edge counts there), the left side winds one more
+        const right = windingNumber([(p[0] + q[0]) / 2, (p[1] + q[1]) / 2], ring, i) - ((b[1] > a[1]) ? 0 : 1);
+        const inRight = right * sign > 0;
+        const inLeft = (right + 1) * sign > 0;
+        if (inLeft !== inRight) pieces.push(inLeft ? [p, q] : [q, p]);
+      }
+    });
+
+    const key = p => `${p[0]},${p[1]}`;
+    const starts = new Map();
+    pieces.forEach((piece) => {
+      const k = key(piece[0]);
+      if (!starts.has(k)) starts.set(k, []);
+      starts.get(k).push(piece);
+    });
+    const used = new Set();
+    const rings = [];
+    for (const first of pieces) {
+      if (used.has(first)) continue;
+      const out = [];
+      let piece = first;
+      let last = null;
+      while (piece) {
+        used.add(piece);
+        out.push(piece[0]);
+        last = piece;
+        piece = (starts.get(key(piece[1])) || []).find(p => !used.has(p));
+      }
+      if (key(last[1]) !== key(first[0])) return null;
+      if (out.length >= 3) rings.push(out);
+    }
+    return rings.length ? rings : null;
+  }
+
+  // winding number of an open ring around a point, optionally without edge `skip` (ring[skip] -> ring[skip + 1])
+  function windingNumber(pt, ring, skip = -1) {
+    let w = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      if (j === skip) continue;
+      const a = ring[j];
+      const b = ring[i];
+      if (a[1] <= pt[1]) {
+        if (b[1] > pt[1] && orient(a, b, pt) > 0) w++;
+      } else if (b[1] <= pt[1] && orient(a, b, pt) < 0) {
+        w--;
+      }
+    }
+    return w;
+  }
+
+  // open ring whose edges cross: keep the larger part at each crossing (outer outline, loops are filled)
+  function removeLoops(ring) {
+    let pts = ring;
+    for (let guard = 0; guard < 1000; guard++) {
+      const hit = firstCrossing(pts);
+      if (!hit) break;
+      const loop = [hit.x].concat(pts.slice(hit.i + 1, hit.j + 1));
+      const rest = [hit.x].concat(pts.slice(hit.j + 1), pts.slice(0, hit.i + 1));
+      pts = (Math.abs(signedArea(loop)) > Math.abs(signedArea(rest))) ? loop : rest;
+    }
+    return pts;
+  }
+
+  function firstCrossing(pts) {
+    const n = pts.length;
+    for (let i = 0; i < n; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % n];
+      for (let j = i + 2; j < n; j++) {
+        if (i === 0 && j === n - 1) continue;
+        const c = pts[j];
+        const d = pts[(j + 1) % n];
+        if (segmentsCross(a, b, c, d)) {
+          const t = orient(c, d, a) / (orient(c, d, a) - orient(c, d, b));
+          return { i, j, x: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t] };
+        }
+      }
+    }
+    return null;
+  }
+
+  const isLatLng = p => Array.isArray(p) && p.length >= 2 && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1])) &&
+    Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180;
+
+  /**
+   * Checked copy of a zone `shape` record, or null when it is missing/invalid (the zone stays a plain polygon).
+   * @param {Object} shape
+   * @returns {Object|null}
+   */
+  function normalizeShape(shape) {
+    if (!shape || typeof shape !== "object") return null;
+    if (shape.type === "circle" && isLatLng(shape.center) && Number(shape.radius) > 0) {
+      return { type: "circle", center: [Number(shape.center[0]), Number(shape.center[1])], radius: Number(shape.radius) };
+    }
+    if (shape.type === "corridor" && Array.isArray(shape.line) && shape.line.length >= 2 && shape.line.every(isLatLng) && Number(shape.buffer) > 0) {
+      return { type: "corridor", line: shape.line.map(p => [Number(p[0]), Number(p[1])]), buffer: Number(shape.buffer) };
+    }
+    return null;
+  }
+
+  /**
+   * Polygon for a shape record (circlePolygon / bufferLine).
+   * @param {Object} shape
+   * @param {{segments?:number}} [opts] - circle vertices (corridor joins use a quarter of it)
+   * @returns {Object|null} GeoJSON Feature<Polygon>
+   */
+  function shapeGeometry(shape, opts = {}) {
+    const s = normalizeShape(shape);
+    const segments = opts.segments || 64;
+    if (!s) return null;
+    if (s.type === "circle") return circlePolygon(s.center, s.radius, segments);
+    return bufferLine(s.line, s.buffer, Math.max(4, Math.round(segments / 4)));
+  }
+
+  /**
+   * Snap a geometry to the other zones: its vertices move to their vertices (or onto their edges) within
+   * `tolerance` meters, and edges running along a shared border pick up the neighbour's vertices,
+   * so shared borders line up without gaps or slivers.
+   * @param {Object} geojson - Polygon/MultiPolygon (Feature or geometry)
+   * @param {Object|Array} zones - export `{ zones }` or zones array to snap to
+   * @param {number} tolerance - meters
+   * @param {string} [skipId] - the zone's own id when it is in `zones`
+   * @returns {{geojson:Object, snapped:number}} snapped: number of moved vertices
+   */
+  function snapGeometry(geojson, zones, tolerance, skipId) {
+    const verts = [];
+    const segs = [];
+    const seen = new Set();
+    zonesOf(zones).forEach((z) => {
+      if (!z || !z.geojson || (skipId != null && z.id === skipId)) return;
+      polygonsOf(z.geojson).forEach(rings => (rings || []).forEach((ring) => {
+        if (!Array.isArray(ring)) return;
+        ring.forEach((p, k) => {
+          if (!isPosition(p)) return;
+          const key = p[0] + "," + p[1];
+          if (!seen.has(key)) { seen.add(key); verts.push(p); }
+          if (k && isPosition(ring[k - 1])) segs.push([ring[k - 1], p]);
+        });
+      }));
+    });
+    if (!verts.length || !(tolerance > 0)) return { geojson, snapped: 0 };
+
+    const polygons = polygonsOf(geojson);
+    const first = polygons[0] && polygons[0][0] && polygons[0][0][0];
+    if (!isPosition(first)) return { geojson, snapped: 0 };
+    const rad = Math.PI / 180;
+    const ky = SPHERE_RADIUS * rad;
+    const kx = ky * Math.cos(first[1] * rad);
+    const dist = (a, b) => Math.hypot((a[0] - b[0]) * kx, (a[1] - b[1]) * ky);
+    const project = (p, a, b) => {
+      const dx = (b[0] - a[0]) * kx;
+      const dy = (b[1] - a[1]) * ky;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 ? Math.max(0, Math.min(1, (((p[0] - a[0]) * kx * dx) + ((p[1] - a[1]) * ky * dy)) / len2)) : 0;
+      return { t, pt: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t] };
+    };
+
+    let snapped = 0;
+    const out = polygons.map(rings => rings.map((ring) => {
+      if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition)) return ring;
+      const open = closeIfOpen(ring).slice(0, -1);
+      const onTarget = [];
+      const pts = open.map((p) => {
+        let best = null;
+        let bd = tolerance;
+        verts.forEach((v) => {
+          const d = dist(p, v);
+          if (d <= bd) { bd = d; best = v; }
+        });
+        if (!best) {
+          segs.forEach(([a, b]) => {
+            const pr = project(p, a, b);
+            const d = dist(p, pr.pt);
+            if (d <= bd) { bd = d; best = pr.pt; }
+          });
+        }
+        onTarget.push(!!best);
+        if (!best) return p;
+        if (best[0] !== p[0] || best[1] !== p[1]) snapped++;
+        return [best[0], best[1]];
+      });
+
+      const result = [];
+      pts.forEach((p, i) => {
+        result.push(p);
+        const k = (i + 1) % pts.length;
+        if (!onTarget[i] || !onTarget[k]) return;
+        verts
+          .map(v => ({ v, pr: project(v, p, pts[k]) }))
+          .filter(({ v, pr }) => pr.t > 0 && pr.t < 1 && dist(v, pr.pt) <= tolerance)
+          .sort((a, b) => a.pr.t - b.pr.t)
+          .forEach(({ v }) => result.push([v[0], v[1]]));
+      });
+      const clean = result.filter((p, i) => {
+        const q = result[(i + 1) % result.length];
+        return p[0] !== q[0] || p[1] !== q[1];
+      });
+      clean.push(clean[0].slice());
+      return clean;
+    }));
+    return { geojson: { type: "Feature", properties: {}, geometry: geometryOf(out) }, snapped };
+  }
+
+  // ----- Point lookup
+
+  /** Zone records of an export envelope `{ zones }`, a plain zones array or a GeoJSON FeatureCollection/Feature. */
+  function zonesOf(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || typeof payload !== "object") return [];
+    if (Array.isArray(payload.zones)) return payload.zones;
+    if (payload.type === "FeatureCollection" || payload.type === "Feature") return fromFeatureCollection(payload);
+    return [];
+  }
+
+  function toPoint(latlng) {
+    if (Array.isArray(latlng)) return [Number(latlng[1]), Number(latlng[0])];
+    if (latlng && typeof latlng === "object") return [Number(latlng.lng), Number(latlng.lat)];
+    return [NaN, NaN];
+  }
+
+  function geometryContains(geojson, pt) {
+    return polygonsOf(geojson).some((rings) => {
+      if (!Array.isArray(rings) || !Array.isArray(rings[0])) return false;
+      const b = bboxOf([rings]);
+      if (pt[0] < b[0] || pt[0] > b[2] || pt[1] < b[1] || pt[1] > b[3]) return false;
+      // points on the border count as inside
+      if (rings.some(r => pointOnRing(pt, closeIfOpen(r)))) return true;
+      return pointInPolygonRings(pt, rings);
+    });
+  }
+
+  /**
+   * Is the point inside the zone (border included)?
+   * @param {Object} zone - zone record `{ geojson }` or a bare geojson
+   * @param {number[]|{lat:number,lng:number}} latlng - [lat, lng] or { lat, lng }
+   * @returns {boolean}
+   */
+  function zoneContains(zone, latlng) {
+    const pt = toPoint(latlng);
+    if (!Number.isFinite(pt[0]) || !Number.isFinite(pt[1]) || !zone) return false;
+    return geometryContains(zone.geojson || zone, pt);
+  }
+
+  /**
+   * Zones containing the point, in document order.
+   * @param {Object|Array} payload - ZoneWidget export `{ zones }` or zones array
+   * @param {number[]|{lat:number,lng:number}} latlng - [lat, lng] or { lat, lng }
+   * @returns {Object[]} the matching zone records (not copies)
+   */
+  function findZonesAt(payload, latlng) {
+    return zonesOf(payload).filter(z => z && z.geojson && zoneContains(z, latlng));
+  }
+
+  const LATLNG_RE = /^([NS])?\s*([-+]?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*([EW])?\s*([-+]?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i;
+
+  /**
+   * Coordinates typed by a user: "43.2389, 76.8897", "43.2389 76.8897", "(43.2389; 76.8897)",
+   * "43.2389° N, 76.8897° E" (S/W make the value negative). Decimal point only; latitude first.
+   * @param {string} text
+   * @returns {number[]|null} [lat, lng], or null when the text is not a coordinate pair in range
+   */
+  function parseLatLng(text) {
+    const m = String(text == null ? "" : text).trim().replace(/^\((.*)\)$/, "$1").trim().match(LATLNG_RE);
+    if (!m) return null;
+    const hemiLat = (m[1] || m[3] || "").toUpperCase();
+    const hemiLng = (m[4] || m[6] || "").toUpperCase();
+    let lat = Number(m[2]);
+    let lng = Number(m[5]);
+    if (hemiLat === "S") lat = -Math.abs(lat);
+    if (hemiLng === "W") lng = -Math.abs(lng);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lat, lng];
+  }
+
+  // ----- Formats: GeoJSON FeatureCollection, KML, GPX
+  // Zone metadata travels as: FeatureCollection -> Feature.id + properties (name, description, color, createdAt, shape, locked + custom);
+  // KML -> Placemark id, name, description, TimeStamp, Style, ExtendedData; GPX -> trk name/desc + zw:* extensions.
+
+  const FORMATS = {
+    json: { ext: "json", mime: "application/json" },
+    geojson: { ext: "geojson", mime: "application/geo+json" },
+    kml: { ext: "kml", mime: "application/vnd.google-earth.kml+xml" },
+    gpx: { ext: "gpx", mime: "application/gpx+xml" }
+  };
+
+  const RESERVED_PROPS = ["id", "name", "description", "color", "createdAt", "shape", "locked"];
+  const ZW_NS = "https://github.com/A01L/ZoneWidget";
+
+  function plainProps(props) {
+    const out = {};
+    Object.keys(props || {}).forEach((k) => { if (!RESERVED_PROPS.includes(k)) out[k] = props[k]; });
+    return out;
+  }
+
+  function zoneFeature(z) {
+    return {
+      type: "Feature",
+      id: z.id,
+      properties: {
+        ...plainProps(z.properties),
+        name: z.name || "",
+        description: z.description || "",
+        ...(z.color ? { color: z.color } : {}),
+        createdAt: z.createdAt ? new Date(z.createdAt).toISOString() : null,
+        ...(z.shape ? { shape: z.shape } : {}),
+        ...(z.locked ? { locked: true } : {})
+      },
+      geometry: geometryOf(polygonsOf(z.geojson))
+    };
+  }
+
+  /**
+   * Plain GeoJSON FeatureCollection (one Feature per zone, metadata in properties).
+   * @param {Object|Array} payload - export `{ zones }` or zones array
+   * @returns {Object}
+   */
+  function toFeatureCollection(payload) {
+    return { type: "FeatureCollection", features: zonesOf(payload).map(zoneFeature) };
+  }
+
+  /**
+   * Zone records from a FeatureCollection (or a single Feature).
+   * Unknown properties go to `properties`; geometry is kept as a Feature for validation.
+   * @param {Object} fc
+   * @returns {Object[]}
+   */
+  function fromFeatureCollection(fc) {
+    const features = (fc && fc.type === "Feature") ? [fc] : ((fc && fc.features) || []);
+    return features.map((f) => {
+      const p = (f && f.properties) || {};
+      const created = Date.parse(p.createdAt);
+      return {
+        id: (f && f.id != null) ? String(f.id) : (p.id != null ? String(p.id) : undefined),
+        createdAt: Number.isFinite(created) ? created : (Number(p.createdAt) || undefined),
+        name: (typeof p.name === "string") ? p.name : "",
+        color: (typeof p.color === "string") ? p.color : undefined,
+        description: (typeof p.description === "string") ? p.description : "",
+        properties: plainProps(p),
+        shape: normalizeShape(p.shape) || undefined,
+        locked: (p.locked === true) || undefined,
+        geojson: (f && f.geometry) ? { type: "Feature", properties: {}, geometry: f.geometry } : null
+      };
+    });
+  }
+
+  // --- minimal XML reader (enough for KML/GPX; namespace prefixes are dropped)
+
+  function parseXml(text) {
+    const root = { name: "#root", attrs: {}, children: [], text: "" };
+    const stack = [root];
+    const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let m;
+    while ((m = re.exec(text))) {
+      const top = stack[stack.length - 1];
+      if (m[1] !== undefined) top.text += m[1];
+      else if (m[2]) {
+        const name = localName(m[2]);
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].name === name) { stack.length = i; break; }
+        }
+      } else if (m[3]) {
+        const el = { name: localName(m[3]), attrs: parseAttrs(m[4]), children: [], text: "" };
+        top.children.push(el);
+        if (!m[5]) stack.push(el);
+      } else if (m[6] !== undefined) top.text += decodeXml(m[6]);
+    }
+    return root;
+  }
+
+  function localName(name) {
+    return name.slice(name.indexOf(":") + 1);
+  }
+
+  function parseAttrs(src) {
+    const attrs = {};
+    const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(src || ""))) attrs[localName(m[1])] = decodeXml(m[2] !== undefined ? m[2] : m[3]);
+    return attrs;
+  }
+
+  function decodeXml(s) {
+    return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (all, e) => {
+      if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+      return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[e.toLowerCase()];
+    });
+  }
+
+  function escapeXml(v) {
+    return String(v == null ? "" : v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c]));
+  }
+
+  const kids = (el, name) => (el ? el.children.filter(c => c.name === name) : []);
+  const kid = (el, name) => kids(el, name)[0] || null;
+  const textOf = el => (el ? el.text.trim() : "");
+
+  function descendants(el, name, out = []) {
+    (el ? el.children : []).forEach((c) => {
+      if (c.name === name) out.push(c);
+      descendants(c, name, out);
+    });
+    return out;
+  }
+
+  // "123" -> 123, "true" -> true, anything non-JSON stays a string (same rule as the metadata form)
+  function typedValue(raw) {
+    try { return JSON.parse(raw); } catch (_) { return raw; }
+  }
+
+  // --- KML
+
+  // KML colors are aabbggrr
+  function kmlColor(hex, alpha) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || "");
+    return m ? `${alpha}${m[3]}${m[2]}${m[1]}`.toLowerCase() : null;
+  }
+
+  function hexFromKml(kml) {
+    const m = /^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec((kml || "").trim());
+    return m ? `#${m[4]}${m[3]}${m[2]}`.toLowerCase() : undefined;
+  }
+
+  const kmlCoords = ring => ring.map(p => `${p[0]},${p[1]}`).join(" ");
+
+  function kmlPolygon(rings) {
+    const inner = rings.slice(1)
+      .map(r => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoords(r)}</coordinates></LinearRing></innerBoundaryIs>`)
+      .join("");
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoords(rings[0])}</coordinates></LinearRing></outerBoundaryIs>${inner}</Polygon>`;
+  }
+
+  /**
+   * KML document with one Placemark per zone.
+   * @param {Object|Array} payload - export `{ zones }` or zones array
+   * @returns {string}
+   */
+  function toKML(payload) {
+    const placemarks = zonesOf(payload).map((z) => {
+      const polys = polygonsOf(z.geojson);
+      const geom = polys.length === 1 ? kmlPolygon(polys[0]) : `<MultiGeometry>${polys.map(kmlPolygon).join("")}</MultiGeometry>`;
+      const color = kmlColor(z.color, "ff");
+      const style = color ? `<Style><LineStyle><color>${color}</color><width>3</width></LineStyle><PolyStyle><color>${kmlColor(z.color, "26")}</color></PolyStyle></Style>` : "";
+      const data = Object.keys(z.properties || {}).map((k) => {
+        const v = z.properties[k];
+        return `<Data name="${escapeXml(k)}"><value>${escapeXml(typeof v === "string" ? v : JSON.stringify(v))}</value></Data>`;
+      }).join("");
+      return [
+        `<Placemark${z.id ? ` id="${escapeXml(z.id)}"` : ""}>`,
+        `<name>${escapeXml(z.name || "")}</name>`,
+        z.description ? `<description>${escapeXml(z.description)}</description>` : "",
+        z.createdAt ? `<TimeStamp><when>${new Date(z.createdAt).toISOString()}</when></TimeStamp>` : "",
+        style,
+        data ? `<ExtendedData>${data}</ExtendedData>` : "",
+        geom,
+        "</Placemark>"
+      ].join("");
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n${placemarks.join("\n")}\n</Document></kml>\n`;
+  }
+
+  function parseKmlCoords(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(t => t.split(",").slice(0, 2).map(Number));
+  }
+
+  /**
+   * Zone records from KML Placemarks with Polygon/MultiGeometry (other placemarks are skipped).
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  function fromKML(text) {
+    const doc = parseXml(text);
+    const styles = {};
+    descendants(doc, "Style").forEach((st) => { if (st.attrs.id) styles[st.attrs.id] = st; });
+
+    return descendants(doc, "Placemark").map((pm) => {
+      const polygons = descendants(pm, "Polygon").map((pg) => {
+        const outer = descendants(kid(pg, "outerBoundaryIs"), "coordinates")[0];
+        const inner = kids(pg, "innerBoundaryIs").map(ib => descendants(ib, "coordinates")[0]).filter(Boolean);
+        return [outer, ...inner].filter(Boolean).map(c => parseKmlCoords(c.text));
+      });
+      if (!polygons.length) return null;
+
+      const styleUrl = textOf(kid(pm, "styleUrl")).replace(/^#/, "");
+      const style = kid(pm, "Style") || styles[styleUrl] || null;
+      const properties = {};
+      descendants(kid(pm, "ExtendedData"), "Data").forEach((d) => {
+        if (d.attrs.name) properties[d.attrs.name] = typedValue(textOf(kid(d, "value")));
+      });
+      const when = Date.parse(textOf(kid(kid(pm, "TimeStamp"), "when")));
+
+      return {
+        id: pm.attrs.id || undefined,
+        createdAt: Number.isFinite(when) ? when : undefined,
+        name: textOf(kid(pm, "name")),
+        color: hexFromKml(textOf(kid(kid(style, "LineStyle"), "color"))),
+        description: textOf(kid(pm, "description")),
+        properties,
+        geojson: { type: "Feature", properties: {}, geometry: geometryOf(polygons) }
+      };
+    }).filter(Boolean);
+  }
+
+  // --- GPX (no polygons in GPX: a zone is a track, each ring a closed segment)
+
+  /**
+   * GPX document with one track per zone.
+   * @param {Object|Array} payload - export `{ zones }` or zones array
+   * @returns {string}
+   */
+  function toGPX(payload) {
+    const tracks = zonesOf(payload).map((z) => {
+      const segs = [];
+      polygonsOf(z.geojson).forEach(rings => rings.forEach((ring) => {
+        segs.push(`<trkseg>${ring.map(p => `<trkpt lat="${p[1]}" lon="${p[0]}"/>`).join("")}</trkseg>`);
+      }));
+      const ext = [
+        z.id ? `<zw:id>${escapeXml(z.id)}</zw:id>` : "",
+        z.color ? `<zw:color>${escapeXml(z.color)}</zw:color>` : "",
+        z.createdAt ? `<zw:createdAt>${new Date(z.createdAt).toISOString()}</zw:createdAt>` : "",
+        (z.properties && Object.keys(z.properties).length) ? `<zw:properties>${escapeXml(JSON.stringify(z.properties))}</zw:properties>` : ""
+      ].join("");
+      return `<trk><name>${escapeXml(z.name || "")}</name>${z.description ? `<desc>${escapeXml(z.description)}</desc>` : ""}${ext ? `<extensions>${ext}</extensions>` : ""}${segs.join("")}</trk>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1" creator="ZoneWidget" xmlns="http://www.topografix.com/GPX/1/1" xmlns:zw="${ZW_NS}">\n${tracks.join("\n")}\n</gpx>\n`;
+  }
+
+  /**
+   * Zone records from GPX tracks/routes. Segments inside the previous outer ring become holes.
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  function fromGPX(text) {
+    const doc = parseXml(text);
+    const pts = list => list.map(p => [Number(p.attrs.lon), Number(p.attrs.lat)]);
+    const items = descendants(doc, "trk").map(t => ({ el: t, rings: kids(t, "trkseg").map(sg => pts(kids(sg, "trkpt"))) }))
+      .concat(descendants(doc, "rte").map(r => ({ el: r, rings: [pts(kids(r, "rtept"))] })));
+
+    return items.map(({ el, rings }) => {
+      const polygons = [];
+      rings.filter(r => r.length).forEach((ring) => {
+        const last = polygons[polygons.length - 1];
+        if (last && pointInRing(ring[0], closeIfOpen(last[0]))) last.push(ring);
+        else polygons.push([ring]);
+      });
+      if (!polygons.length) return null;
+
+      const ext = kid(el, "extensions");
+      const created = Date.parse(textOf(kid(ext, "createdAt")));
+      let properties = {};
+      try { properties = JSON.parse(textOf(kid(ext, "properties")) || "{}"); } catch (_) {}
+
+      return {
+        id: textOf(kid(ext, "id")) || undefined,
+        createdAt: Number.isFinite(created) ? created : undefined,
+        name: textOf(kid(el, "name")),
+        color: textOf(kid(ext, "color")) || undefined,
+        description: textOf(kid(el, "desc")),
+        properties,
+        geojson: { type: "Feature", properties: {}, geometry: geometryOf(polygons) }
+      };
+    }).filter(Boolean);
+  }
+
+  // --- detection / dispatch
+
+  /**
+   * Guess the format of a file's text: "json" (ZoneWidget export or zones array), "geojson", "kml" or "gpx".
+   * @param {string} text
+   * @returns {string|null}
+   */
+  function detectFormat(text) {
+    const head = String(text || "").trimStart().slice(0, 2000);
+    if (head[0] === "{" || head[0] === "[") {
+      try {
+        const json = JSON.parse(text);
+        return (json && (json.type === "FeatureCollection" || json.type === "Feature")) ? "geojson" : "json";
+      } catch (_) {
+        return null;
+      }
+    }
+    if (/<kml[\s>]/i.test(head)) return "kml";
+    if (/<gpx[\s>]/i.test(head)) return "gpx";
+    return null;
+  }
+
+  /**
+   * Zone records from file text in any supported format (auto-detected).
+   * ZoneWidget JSON of an older version is migrated first; a newer version throws ("newer-version").
+   * The records still need validation (validateZones) before use.
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  function parseZones(text) {
+    const format = detectFormat(text);
+    if (format === "kml") return fromKML(text);
+    if (format === "gpx") return fromGPX(text);
+    if (format === "json" || format === "geojson") {
+      const json = JSON.parse(text);
+      if (!Array.isArray(json) && !Array.isArray(json.zones) && format === "json") {
+        throw codedError("envelope", "Неверный формат: ожидался массив zones, {zones:[]} или FeatureCollection");
+      }
+      // older documents are upgraded, newer ones rejected (see migrateDocument)
+      return zonesOf(migrateDocument(json).document);
+    }
+    throw codedError("unknown-format", "Неизвестный формат файла: ожидался JSON, GeoJSON, KML или GPX");
+  }
+
+  // thrown errors carry a `code` the UI can translate
+  function codedError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  /**
+   * Serialize zones into one of FORMATS ("json" is the ZoneWidget envelope itself).
+   * @param {Object} payload - export `{ version, exportedAt, meta, zones }`
+   * @param {"json"|"geojson"|"kml"|"gpx"} format
+   * @returns {string}
+   */
+  function serializeZones(payload, format) {
+    if (format === "geojson") return JSON.stringify(toFeatureCollection(payload), null, 2);
+    if (format === "kml") return toKML(payload);
+    if (format === "gpx") return toGPX(payload);
+    return JSON.stringify(payload, null, 2);
+  }
+
+  // ----- Tiles
+
+  const DEFAULT_TILES = [{
+    name: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: "&copy; OpenStreetMap contributors",
+    maxZoom: 19
+  }];
+
+  /**
+   * Normalize a `tiles` option into a list of named base layers.
+   * Accepts a URL string, one `{ name, url, attribution, maxZoom, subdomains, options }` object or an array of them.
+   * `undefined` -> OpenStreetMap; `false`/`null`/`[]` -> no tiles (offline, tests).
+   * @param {string|Object|Array|boolean|null} [tiles]
+   * @returns {Array<{name:string,url:string,attribution:string,maxZoom:number,default?:boolean,subdomains?:string,options?:Object}>}
+   */
+  function normalizeTiles(tiles) {
+    if (tiles === undefined) return DEFAULT_TILES.map(t => ({ ...t }));
+    if (tiles === false || tiles === null) return [];
+    const list = Array.isArray(tiles) ? tiles : [tiles];
+    return list.map((t, i) => {
+      const cfg = (typeof t === "string") ? { url: t } : { ...t };
+      if (!cfg.url || typeof cfg.url !== "string") throw new Error(`tiles[${i}]: url is required`);
+      return { name: `Layer ${i + 1}`, attribution: "", maxZoom: 19, ...cfg };
+    });
+  }
+
+  /**
+   * Add base layers to a Leaflet map: the `default: true` one (or the first) is shown,
+   * a layer switcher appears when there is more than one.
+   * Leaflet is passed in, so this module itself stays Leaflet-free.
+   * @param {Object} L - Leaflet namespace
+   * @param {Object} map - L.Map
+   * @param {*} tiles - see normalizeTiles
+   * @returns {{ layers: Array<{config:Object, layer:Object}>, active: () => (Object|null), control: (Object|null) }}
+   */
+  function addBaseLayers(L, map, tiles) {
+    const layers = normalizeTiles(tiles).map(config => ({ config, layer: tileLayerFor(L, config, true) }));
+    const first = layers.find(l => l.config.default) || layers[0];
+    let active = first ? first.config : null;
+    if (first) first.layer.addTo(map);
+
+    let control = null;
+    if (layers.length > 1) {
+      const bases = {};
+      layers.forEach((l) => { bases[l.config.name] = l.layer; });
+      control = L.control.layers(bases, null, { position: "topright" }).addTo(map);
+      map.on("baselayerchange", (e) => {
+        const hit = layers.find(l => l.layer === e.layer);
+        if (hit) active = hit.config;
+      });
+    }
+    return { layers, active: () => active, control };
+  }
+
+  /** One Leaflet tile layer for a normalized tile config (mini maps pass attribution = false). */
+  function tileLayerFor(L, config, attribution) {
+    return L.tileLayer(config.url, {
+      maxZoom: config.maxZoom,
+      attribution: attribution ? config.attribution : undefined,
+      ...(config.subdomains ? { subdomains: config.subdomains } : {}),
+      ...(config.options || {})
+    });
+  }
+
+  // ----- Thumbnails (Web Mercator, same projection as the map tiles)
+
+  function mercator(p) {
+    const lat = Math.max(-85.05112878, Math.min(85.05112878, p[1]));
+    return [p[0] * Math.PI / 180, Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))];
+  }
+
+  // zone rings projected and fitted into width x height (pixels, y down), aspect ratio kept
+  function thumbnailRings(geojson, width, height, padding) {
+    const rings = [];
+    polygonsOf(geojson).forEach((poly) => {
+      (poly || []).forEach((r) => { if (Array.isArray(r) && r.length && r.every(isPosition)) rings.push(r.map(mercator)); });
+    });
+    if (!rings.length) return [];
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    rings.forEach(r => r.forEach((p) => {
+      minX = Math.min(minX, p[0]); maxX = Math.max(maxX, p[0]);
+      minY = Math.min(minY, p[1]); maxY = Math.max(maxY, p[1]);
+    }));
+    const w = Math.max(width - 2 * padding, 1);
+    const h = Math.max(height - 2 * padding, 1);
+    const scale = Math.min(w / ((maxX - minX) || 1e-12), h / ((maxY - minY) || 1e-12));
+    const offX = (width - (maxX - minX) * scale) / 2;
+    const offY = (height - (maxY - minY) * scale) / 2;
+    const px = p => [offX + (p[0] - minX) * scale, offY + (maxY - p[1]) * scale];
+    return rings.map(r => r.map(px));
+  }
+
+  function thumbnailOptions(zone, opts) {
+    return {
+      width: 160,
+      height: 120,
+      padding: 8,
+      color: (zone && zone.color) || "#3388ff",
+      weight: 2,
+      fillOpacity: 0.15,
+      background: null,
+      ...opts
+    };
+  }
+
+  /**
+   * Outline of a zone as a standalone SVG string (works in Node: e-mails, reports, tables).
+   * @param {Object} zone - zone record (`geojson`, `color`) or a bare geojson
+   * @param {Object} [opts] - { width=160, height=120, padding=8, color=zone.color, weight=2, fillOpacity=0.15, background }
+   * @returns {string}
+   */
+  function zoneThumbnailSVG(zone, opts = {}) {
+    const geojson = (zone && zone.geojson) || zone;
+    const o = thumbnailOptions(zone, opts);
+    const round = n => Math.round(n * 10) / 10;
+    const d = thumbnailRings(geojson, o.width, o.height, o.padding)
+      .map(r => "M" + r.map(p => `${round(p[0])},${round(p[1])}`).join("L") + "Z")
+      .join("");
+    const bg = o.background ? `<rect width="100%" height="100%" fill="${escapeXml(o.background)}"/>` : "";
+    const color = escapeXml(o.color);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${o.width}" height="${o.height}" viewBox="0 0 ${o.width} ${o.height}">${bg}` +
+      (d ? `<path d="${d}" fill="${color}" fill-opacity="${o.fillOpacity}" fill-rule="evenodd" stroke="${color}" stroke-width="${o.weight}" stroke-linejoin="round"/>` : "") +
+      `</svg>`;
+  }
+
+  /**
+   * Draw a zone outline on a 2D canvas context (no DOM needed beyond the context itself).
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} zone - zone record or bare geojson
+   * @param {Object} [opts] - as zoneThumbnailSVG; width/height default to the canvas size
+   */
+  function drawZoneThumbnail(ctx, zone, opts = {}) {
+    const geojson = (zone && zone.geojson) || zone;
+    const o = thumbnailOptions(zone, { width: ctx.canvas.width, height: ctx.canvas.height, ...opts });
+    ctx.clearRect(0, 0, o.width, o.height);
+    if (o.background) {
+      ctx.fillStyle = o.background;
+      ctx.fillRect(0, 0, o.width, o.height);
+    }
+    const rings = thumbnailRings(geojson, o.width, o.height, o.padding);
+    if (!rings.length) return;
+    ctx.beginPath();
+    rings.forEach((r) => {
+      r.forEach((p, i) => (i ? ctx.lineTo(p[0], p[1]) : ctx.moveTo(p[0], p[1])));
+      ctx.closePath();
+    });
+    ctx.globalAlpha = o.fillOpacity;
+    ctx.fillStyle = o.color;
+    ctx.fill("evenodd");
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = o.weight;
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = o.color;
+    ctx.stroke();
+  }
+
+  // ----- Asset loader (Leaflet / Leaflet.Draw), shared by editor and viewer
+
+  const CDN_ASSETS = {
+    js: "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+    css: "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+    drawJs: "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js",
+    drawCss: "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css"
+  };
+
+  // element id -> Promise, so parallel mounts wait for the same tag
+  const pending = {};
+
+  /**
+   * Resolve Leaflet asset URLs: explicit `leaflet` URLs > files under `assetBase` > unpkg.
+   * `assetBase` is a folder holding leaflet.js, leaflet.css, leaflet.draw.js and leaflet.draw.css
+   * (the `dist` files of the leaflet and leaflet-draw packages; keep leaflet's images/ next to the css).
+   * @param {Object} [opts]
+   * @param {{js?:string,css?:string,drawJs?:string,drawCss?:string}} [opts.leaflet]
+   * @param {string} [opts.assetBase]
+   * @returns {{js:string,css:string,drawJs:string,drawCss:string}}
+   */
+  function leafletAssets(opts = {}) {
+    let urls = { ...CDN_ASSETS };
+    if (opts.assetBase) {
+      const base = String(opts.assetBase).replace(/\/?$/, "/");
+      urls = { js: base + "leaflet.js", css: base + "leaflet.css", drawJs: base + "leaflet.draw.js", drawCss: base + "leaflet.draw.css" };
+    }
+    const own = (opts.leaflet && typeof opts.leaflet.map !== "function") ? opts.leaflet : {};
+    ["js", "css", "drawJs", "drawCss"].forEach((k) => { if (own[k]) urls[k] = own[k]; });
+    return urls;
+  }
+
+  /**
+   * Make sure Leaflet (and Leaflet.Draw with `draw: true`) is available as window.L.
+   * Nothing is requested when they are already on the page (script tags, bundler, ES module entry);
+   * a Leaflet namespace passed as `opts.leaflet` is used as window.L.
+   * Rejects when a script or stylesheet fails to load.
+   * @param {Object} [opts] - `{ draw, leaflet, assetBase }`, see leafletAssets
+   * @returns {Promise<Object>} Leaflet namespace
+   */
+  async function ensureLeaflet(opts = {}) {
+    if (opts.leaflet && typeof opts.leaflet.map === "function" && !global.L) global.L = opts.leaflet;
+    const urls = leafletAssets(opts);
+
+    if (!(global.L && global.L.map)) {
+      await Promise.all([loadCSSOnce(urls.css, "zw_leaflet_css"), loadScriptOnce(urls.js, "zw_leaflet_js")]);
+      if (!(global.L && global.L.map)) throw new Error("Leaflet failed to load: " + urls.js);
+    }
+    if (opts.draw && !(global.L.Control && global.L.Control.Draw)) {
+      await Promise.all([loadCSSOnce(urls.drawCss, "zw_draw_css"), loadScriptOnce(urls.drawJs, "zw_draw_js")]);
+      if (!global.L.Control.Draw) throw new Error("Leaflet.Draw failed to load: " + urls.drawJs);
+    }
+    return global.L;
+  }
+
+  function loadCSSOnce(href, id) {
+    return loadOnce(id, () => {
+      const link = document.createElement("link");
+      link.rel = "stylesheet";
+      link.href = href;
+      return link;
+    }, "Failed to load stylesheet: " + href);
+  }
+
+  function loadScriptOnce(src, id) {
+    return loadOnce(id, () => {
+      const s = document.createElement("script");
+      s.src = src;
+      s.async = true;
+      return s;
+    }, "Failed to load script: " + src);
+  }
+
+  function loadOnce(id, create, failure) {
+    if (pending[id]) return pending[id];
+    // a tag with this id that we did not add ourselves: the page loaded it already
+    if (document.getElementById(id)) return Promise.resolve();
+    pending[id] = new Promise((resolve, reject) => {
+      const node = create();
+      node.id = id;
+      node.onload = () => resolve();
+      node.onerror = () => {
+        node.remove();
+        delete pending[id];
+        reject(new Error(failure));
+      };
+      document.head.appendChild(node);
+    });
+    return pending[id];
+  }
+
+  // ----- Zone list validation
+
+  /**
+   * Validate zones one by one (never throws) and apply the overlap policy between them.
+   * Earlier zones win: a later zone overlapping an accepted one is warned, rejected or clipped.
+   * @param {Array<Object>} zones - records with `geojson`
+   * @param {Object} [opts]
+   * @param {"allow"|"warn"|"forbid"|"clip"} [opts.overlap="allow"]
+   * @param {Array<Object>} [opts.existing] - already accepted zones to check overlap against
+   * @param {number[]} [opts.near] - [lat, lng], see validateGeometry
+   * @returns {{ zones: Object[], errors: Array<{index:number,id:(string|null),errors:Object[]}>, warnings: Array<{index:number,id:(string|null),warnings:Object[]}> }}
+   */
+  function validateZones(zones, opts = {}) {
+    const policy = OVERLAP_POLICIES.includes(opts.overlap) ? opts.overlap : "allow";
+    const accepted = [];
+    const pool = (opts.existing || []).slice();
+    const errors = [];
+    const warnings = [];
+
+    (zones || []).forEach((z, index) => {
+      const id = (z && z.id) || null;
+      const res = checkZone(z, pool, { policy, near: opts.near });
+      if (res.errors.length) {
+        errors.push({ index, id, errors: res.errors });
+        return;
+      }
+      if (res.warnings.length) warnings.push({ index, id, warnings: res.warnings });
+      const zone = { ...z, geojson: res.geojson };
+      accepted.push(zone);
+      pool.push(zone);
+    });
+
+    return { zones: accepted, errors, warnings };
+  }
+
+  /**
+   * Validate one zone against others and apply the overlap policy.
+   * @param {Object} zone - record with `geojson` (and `id` to skip itself in `others`)
+   * @param {Array<Object>} others
+   * @param {Object} [opts] - { policy, near }
+   * @returns {{ errors: Object[], warnings: Object[], geojson: Object|null, overlaps: string[] }}
+   */
+  function checkZone(zone, others, opts = {}) {
+    const policy = opts.policy || "allow";
+    const res = validateGeometry(zone && zone.geojson, { near: opts.near });
+    const out = { errors: res.errors, warnings: res.warnings, geojson: res.geojson, overlaps: [] };
+    if (res.errors.length || policy === "allow") return out;
+
+    out.overlaps = findOverlaps(res.geojson, others, zone.id);
+    if (!out.overlaps.length) return out;
+
+    const params = { ids: out.overlaps.join(", ") };
+    if (policy === "warn") {
+      out.warnings.push({ code: "overlap", message: `пересекается с зонами: ${params.ids}`, params });
+    } else if (policy === "forbid") {
+      out.errors.push({ code: "overlap", message: `пересекается с зонами: ${params.ids}`, params });
+      out.geojson = null;
+    } else if (policy === "clip") {
+      let geometry = featureGeometry(res.geojson);
+      others.filter(o => out.overlaps.includes(o.id)).forEach((o) => {
+        if (geometry) geometry = subtractGeometry(geometry, o.geojson);
+      });
+      if (!geometry) {
+        out.errors.push({ code: "covered", message: "зона целиком лежит внутри других зон", params });
+        out.geojson = null;
+      } else {
+        const props = (res.geojson.type === "Feature" && res.geojson.properties) || {};
+        out.geojson = { type: "Feature", properties: props, geometry };
+        out.warnings.push({ code: "clipped", message: `обрезана по зонам: ${params.ids}`, params });
+      }
+    }
+    return out;
+  }
+
+  function featureGeometry(geojson) {
+    return geometryOf(polygonsOf(geojson));
+  }
+
+  // ----- Document format: version, migrations, JSON Schema
+  // zones.schema.json is DOCUMENT_SCHEMA as published: regenerate it with `node zw-validate.js --schema`
+
+  const SCHEMA_VERSION = 2;
+
+  /**
+   * Upgrades between format versions: MIGRATIONS[n] turns a version n document into version n + 1.
+   * Only ever add entries (and bump SCHEMA_VERSION); files already in storage go through the whole chain.
+   * A version bump is needed when a document has to be rewritten to stay valid. A new optional field that
+   * older readers may drop is additive: the schema allows unknown properties, so it keeps the version.
+   */
+  const MIGRATIONS = {
+    // v1 (first widget): zones { id, createdAt, geojson, center, zoom }.
+    // v2: zone metadata name, color, description, properties; optional circle/corridor `shape`; `stats` on export.
+    //     Additive since: zone `locked`.
+    1: doc => ({
+      ...doc,
+      version: 2,
+      zones: doc.zones.map(z => ((z && typeof z === "object" && !Array.isArray(z))
+        ? { name: "", description: "", properties: {}, ...z }
+        : z))
+    })
+  };
+
+  const LATLNG_SCHEMA = {
+    type: "array",
+    prefixItems: [{ type: "number", minimum: -90, maximum: 90 }, { type: "number", minimum: -180, maximum: 180 }],
+    minItems: 2,
+    maxItems: 2
+  };
+
+  const DOCUMENT_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "https://github.com/A01L/ZoneWidget/zones.schema.json",
+    title: "ZoneWidget zones document",
+    description: "Export of ZoneWidget (zw-editor.js), input of ZoneMapViewer (zw-render.js). Coordinates: geojson [lng, lat], center/shape [lat, lng].",
+    type: "object",
+    required: ["version", "zones"],
+    properties: {
+      version: { const: SCHEMA_VERSION, description: "format version; new optional fields (zone locked) are additive and keep it" },
+      exportedAt: { type: "string", format: "date-time" },
+      meta: {
+        type: "object",
+        properties: {
+          limit: { type: "integer", minimum: 1, description: "zone limit of the editor; absent when it has none (limit: Infinity)" },
+          center: { $ref: "#/$defs/latlng" },
+          zoom: { type: "number", minimum: 0, maximum: 30 }
+        }
+      },
+      zones: { type: "array", items: { $ref: "#/$defs/zone" } }
+    },
+    $defs: {
+      latlng: LATLNG_SCHEMA,
+      zone: {
+        type: "object",
+        required: ["geojson"],
+        properties: {
+          id: { type: "string", minLength: 1 },
+          createdAt: { type: "number", minimum: 0, description: "ms since epoch" },
+          name: { type: "string" },
+          color: { type: "string", pattern: "^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$" },
+          description: { type: "string" },
+          properties: { type: "object" },
+          geojson: {
+            type: "object",
+            required: ["type"],
+            properties: { type: { enum: ["Feature", "FeatureCollection", "Polygon", "MultiPolygon"] } },
+            description: "Polygon/MultiPolygon geometry, Feature or FeatureCollection of them; rings are checked by validateGeometry"
+          },
+          center: { $ref: "#/$defs/latlng" },
+          zoom: { type: "number", minimum: 0, maximum: 30 },
+          stats: {
+            type: "object",
+            description: "derived (area m², perimeter m, vertices), ignored on import",
+            properties: { area: { type: "number" }, perimeter: { type: "number" }, vertices: { type: "integer" } }
+          },
+          shape: { oneOf: [{ $ref: "#/$defs/circle" }, { $ref: "#/$defs/corridor" }] },
+          locked: { type: "boolean", description: "read-only in the editor's edit mode" }
+        }
+      },
+      circle: {
+        type: "object",
+        required: ["type", "center", "radius"],
+        properties: {
+          type: { const: "circle" },
+          center: { $ref: "#/$defs/latlng" },
+          radius: { type: "number", exclusiveMinimum: 0, description: "meters" }
+        }
+      },
+      corridor: {
+        type: "object",
+        required: ["type", "line", "buffer"],
+        properties: {
+          type: { const: "corridor" },
+          line: { type: "array", minItems: 2, items: { $ref: "#/$defs/latlng" } },
+          buffer: { type: "number", exclusiveMinimum: 0, description: "meters on each side of the line" }
+        }
+      }
+    }
+  };
+
+  /**
+   * Bring a ZoneWidget document up to SCHEMA_VERSION. A document without `version` counts as v1;
+   * zones arrays and FeatureCollections are not versioned and pass through untouched.
+   * @param {Object|Array} payload
+   * @returns {{document:Object|Array, from:(number|null), migrated:boolean}}
+   * @throws {Error} code "newer-version" (file from a newer ZoneWidget) or "version" (not a positive integer); err.params
+   */
+  function migrateDocument(payload) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload) || !Array.isArray(payload.zones)) {
+      return { document: payload, from: null, migrated: false };
+    }
+    const from = (payload.version === undefined || payload.version === null) ? 1 : payload.version;
+    if (!Number.isInteger(from) || from < 1) {
+      throw Object.assign(codedError("version", `Неверная версия формата: ${JSON.stringify(payload.version)}`), { params: { version: payload.version } });
+    }
+    if (from > SCHEMA_VERSION) {
+      throw Object.assign(
+        codedError("newer-version", `Файл создан более новой версией ZoneWidget (формат v${from}, поддерживается до v${SCHEMA_VERSION}). Обновите виджет.`),
+        { params: { version: from, supported: SCHEMA_VERSION } }
+      );
+    }
+    let doc = payload;
+    for (let v = from; v < SCHEMA_VERSION; v++) doc = MIGRATIONS[v](doc);
+    return { document: doc, from, migrated: from !== SCHEMA_VERSION };
+  }
+
+  /**
+   * Check a document the way the widget imports it: version (older ones are migrated first),
+   * DOCUMENT_SCHEMA, then geometry and the overlap policy (validateZones). Zones arrays and
+   * FeatureCollections are checked as the zones of a current document. Never throws.
+   * @param {Object|Array} payload - parsed JSON (or the result of parseZones)
+   * @param {Object} [opts] - { overlap: "allow"|"warn"|"forbid"|"clip", near }
+   * @returns {{valid:boolean, version:(number|null), migrated:boolean, document:(Object|null), errors:Object[], warnings:Object[]}}
+   *   errors/warnings: { path (JSON pointer into the migrated document), code, message, params? }
+   */
+  function validateDocument(payload, opts = {}) {
+    const result = { valid: false, version: null, migrated: false, document: null, errors: [], warnings: [] };
+    const versioned = payload && typeof payload === "object" && !Array.isArray(payload) && Array.isArray(payload.zones);
+    const plain = Array.isArray(payload) || (payload && (payload.type === "FeatureCollection" || payload.type === "Feature"));
+    if (!versioned && !plain) {
+      result.errors.push({ path: "/", code: "envelope", message: "Неверный формат: ожидался массив zones, {zones:[]} или FeatureCollection" });
+      return result;
+    }
+    let doc;
+    try {
+      const m = migrateDocument(versioned ? payload : { version: SCHEMA_VERSION, zones: zonesOf(payload) });
+      doc = m.document;
+      result.version = versioned ? m.from : null;
+      result.migrated = m.migrated;
+    } catch (err) {
+      result.errors.push({ path: "/version", code: err.code, message: err.message, params: err.params });
+      return result;
+    }
+    result.document = doc;
+    schemaErrors(doc, DOCUMENT_SCHEMA, "", result.errors);
+
+    // geometry of the zones whose record passed the schema (index kept for the path)
+    const bad = new Set(result.errors.map(e => (e.path.match(/^\/zones\/(\d+)/) || [])[1]).filter(Boolean).map(Number));
+    const checked = doc.zones.map((z, index) => ({ z, index })).filter(({ index }) => !bad.has(index));
+    const report = validateZones(checked.map(c => c.z), { overlap: opts.overlap, near: opts.near });
+    const toPath = (list, key, out) => list.forEach((it) => {
+      it[key].forEach(e => out.push({ path: `/zones/${checked[it.index].index}/geojson`, ...e }));
+    });
+    toPath(report.errors, "errors", result.errors);
+    toPath(report.warnings, "warnings", result.warnings);
+    result.valid = !result.errors.length;
+    return result;
+  }
+
+  // JSON Schema 2020-12 subset used by DOCUMENT_SCHEMA: type, const, enum, required, properties, items, prefixItems,
+  // minItems, maxItems, minimum, maximum, exclusiveMinimum, minLength, pattern, format (date-time), oneOf, local $ref
+  function schemaErrors(value, schema, path, out) {
+    if (schema.$ref) return schemaErrors(value, schemaRef(schema.$ref), path, out);
+    const at = path || "/";
+    const fail = (keyword, message) => out.push({ path: at, code: "schema", message, params: { keyword } });
+
+    if (schema.type && !schemaType(value, schema.type)) {
+      fail("type", `${at}: ожидался тип ${schema.type}`);
+      return out;
+    }
+    if ("const" in schema && value !== schema.const) fail("const", `${at}: ожидалось значение ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) fail("enum", `${at}: ожидалось одно из ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+
+    if (typeof value === "number") {
+      if ("minimum" in schema && value < schema.minimum) fail("minimum", `${at}: значение меньше ${schema.minimum}`);
+      if ("maximum" in schema && value > schema.maximum) fail("maximum", `${at}: значение больше ${schema.maximum}`);
+      if ("exclusiveMinimum" in schema && value <= schema.exclusiveMinimum) fail("exclusiveMinimum", `${at}: значение должно быть больше ${schema.exclusiveMinimum}`);
+    }
+    if (typeof value === "string") {
+      if ("minLength" in schema && value.length < schema.minLength) fail("minLength", `${at}: пустая строка`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail("pattern", `${at}: не соответствует шаблону ${schema.pattern}`);
+      if (schema.format === "date-time" && !Number.isFinite(Date.parse(value))) fail("format", `${at}: ожидалась дата ISO 8601`);
+    }
+    if (Array.isArray(value)) {
+      if ("minItems" in schema && value.length < schema.minItems) fail("minItems", `${at}: меньше ${schema.minItems} элементов`);
+      if ("maxItems" in schema && value.length > schema.maxItems) fail("maxItems", `${at}: больше ${schema.maxItems} элементов`);
+      (schema.prefixItems || []).forEach((s, i) => { if (i < value.length) schemaErrors(value[i], s, `${path}/${i}`, out); });
+      if (schema.items) value.forEach((v, i) => schemaErrors(v, schema.items, `${path}/${i}`, out));
+    } else if (value && typeof value === "object") {
+      (schema.required || []).forEach((k) => { if (value[k] === undefined) fail("required", `${at}: нет обязательного поля "${k}"`); });
+      Object.keys(schema.properties || {}).forEach((k) => {
+        if (value[k] !== undefined) schemaErrors(value[k], schema.properties[k], `${path}/${k}`, out);
+      });
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(s => !schemaErrors(value, s, path, []).length).length;
+      if (matches !== 1) fail("oneOf", `${at}: не подходит ни под один из вариантов`);
+    }
+    return out;
+  }
+
+  function schemaRef(ref) {
+    const m = /^#\/\$defs\/(.+)$/.exec(ref);
+    if (!m || !DOCUMENT_SCHEMA.$defs[m[1]]) throw new Error(`Unknown schema $ref: ${ref}`);
+    return DOCUMENT_SCHEMA.$defs[m[1]];
+  }
+
+  function schemaType(value, type) {
+    if (Array.isArray(type)) return type.some(t => schemaType(value, t));
+    if (type === "integer") return Number.isInteger(value);
+    if (type === "number") return typeof value === "number" && Number.isFinite(value);
+    if (type === "array") return Array.isArray(value);
+    if (type === "object") return !!value && typeof value === "object" && !Array.isArray(value);
+    if (type === "null") return value === null;
+    return typeof value === type;
+  }
+
+  // ----- Import planning (editor import dialog): replace, append or merge by id
+
+  const IMPORT_MODES = ["replace", "append", "merge"];
+
+  // Zone colors: first free palette color, so consecutive zones differ
+  const ZONE_COLORS = ["#3388ff", "#e4572e", "#17a398", "#f3a712", "#8e44ad", "#2e4057", "#d81159", "#66a182"];
+
+  // [lat, lng] for zones imported without a center (bbox middle, Almaty when there is no polygon)
+  const DEFAULT_CENTER = [43.238949, 76.889709];
+
+  function pickColor(zones) {
+    const used = new Set(zones.map(z => z.color));
+    return ZONE_COLORS.find(c => !used.has(c)) || ZONE_COLORS[zones.length % ZONE_COLORS.length];
+  }
+
+  function isColor(v) {
+    return typeof v === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v);
+  }
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  const newZoneId = () => "z_" + Math.random().toString(16).slice(2) + "_" + Date.now().toString(16);
+
+  // Envelope errors throw; bad records are reported per zone in `errors` (geometry is not validated here).
+  // With `byId`, a record matching an existing zone keeps its color/createdAt when the file has none
+  function readImport(payload, existing = [], byId = false) {
+    const known = Array.isArray(payload) || Array.isArray(payload?.zones) ||
+      payload?.type === "FeatureCollection" || payload?.type === "Feature";
+    if (!known) throw codedError("envelope", "Неверный формат: ожидался массив zones, {zones:[]} или FeatureCollection");
+    // older export versions are upgraded, newer ones throw ("newer-version")
+    const raw = zonesOf(migrateDocument(payload).document);
+    const zones = [];
+    const sourceIndex = [];
+    const errors = [];
+    raw.forEach((z, index) => {
+      if (!isPlainObject(z)) {
+        errors.push({ index, id: null, errors: [{ code: "record", message: "запись зоны должна быть объектом" }] });
+        return;
+      }
+      sourceIndex.push(index);
+      const shape = normalizeShape(z.shape);
+      const prev = byId && z.id ? existing.find(e => e.id === z.id) : null;
+      zones.push({
+        id: z.id || newZoneId(),
+        createdAt: Number(z.createdAt) || (prev ? prev.createdAt : Date.now()),
+        name: (typeof z.name === "string") ? z.name : "",
+        color: isColor(z.color) ? z.color : (prev ? prev.color : pickColor(existing.concat(zones))),
+        description: (typeof z.description === "string") ? z.description : "",
+        properties: isPlainObject(z.properties) ? { ...z.properties } : {},
+        geojson: z.geojson,
+        center: Array.isArray(z.center) ? z.center : null,
+        zoom: Number(z.zoom) || 14,
+        ...(shape ? { shape } : {}),
+        ...(z.locked === true ? { locked: true } : {})
+      });
+    });
+    return { zones, sourceIndex, errors };
+  }
+
+  /**
+   * What importing `payload` would do to `current` zones:
+   * "replace" drops them, "append" adds every imported zone (ids already taken get new ones),
+   * "merge" replaces zones with the same id in place and adds the rest.
+   * Imported zones are validated against the zones that stay (overlap policy).
+   * Added zones beyond the limit are chosen in resolveImport.
+   * With `keepLocked`, locked zones survive "replace"; imported zones with their ids are skipped by "replace" and
+   * "merge" (reported as errors) instead of updating or duplicating them.
+   * @param {Array<Object>} current - zones before the import
+   * @param {*} payload - parsed file: zones array, {zones:[]}, document or FeatureCollection
+   * @param {Object} [opts] - mode, limit (max zones after import), overlap, near (see validateZones), keepLocked
+   * @returns {{ mode, base, added, updated, unchanged, removed, free, errors, warnings }}
+   */
+  function planImport(current, payload, { mode = "replace", limit = Infinity, overlap, near, keepLocked = false } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw new Error(`ZoneWidgetCore: unknown import mode "${mode}"`);
+    const base = (mode !== "replace") ? current : (keepLocked ? current.filter(z => z.locked) : []);
+    const read = readImport(payload, base, mode === "merge");
+
+    if (mode !== "append" && keepLocked) {
+      const locked = new Set(base.filter(z => z.locked).map(z => z.id));
+      for (let i = read.zones.length - 1; i >= 0; i--) {
+        const id = read.zones[i].id;
+        if (!locked.has(id)) continue;
+        read.errors.push({ index: read.sourceIndex[i], id, errors: [{ code: "locked", message: `зона ${id} заблокирована`, params: { id } }] });
+        read.zones.splice(i, 1);
+        read.sourceIndex.splice(i, 1);
+      }
+    }
+
+    const currentIds = new Set(base.map(z => z.id));
+    const seen = new Set();
+    const matched = new Set();
+    read.zones.forEach((z) => {
+      if (mode === "merge" && currentIds.has(z.id) && !seen.has(z.id)) matched.add(z.id);
+      else if (currentIds.has(z.id) || seen.has(z.id)) z.id = newZoneId();
+      seen.add(z.id);
+    });
+
+    const report = validateZones(read.zones, {
+      overlap, near, existing: base.filter(z => !matched.has(z.id))
+    });
+    const remap = (list) => list.map(it => ({ ...it, index: read.sourceIndex[it.index] }));
+
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+    report.zones.forEach((z) => {
+      if (!z.center) {
+        const polys = polygonsOf(z.geojson);
+        const [minX, minY, maxX, maxY] = polys.length ? bboxOf(polys) : [];
+        z.center = polys.length ? [(minY + maxY) / 2, (minX + maxX) / 2] : DEFAULT_CENTER.slice();
+      }
+      if (!matched.has(z.id)) added.push(z);
+      else if (sameZone(z, current.find(c => c.id === z.id))) unchanged.push(z);
+      else updated.push(z);
+    });
+
+    const byId = new Map(updated.map(z => [z.id, z]));
+    return {
+      mode,
+      base: base.map(z => byId.get(z.id) || z),
+      added,
+      updated,
+      unchanged,
+      removed: (mode === "replace") ? current.filter(z => !base.includes(z)) : [],
+      free: Math.max(0, limit - base.length),
+      errors: read.errors.concat(remap(report.errors)).sort((a, b) => a.index - b.index),
+      warnings: remap(report.warnings)
+    };
+  }
+
+  /**
+   * Final zones of a plan: added zones fill the free slots in file order, or the ones listed in `keep` (ids).
+   * @returns {{ zones: Object[], added: Object[], skipped: Object[] }}
+   */
+  function resolveImport(plan, keep) {
+    const picked = Array.isArray(keep) ? plan.added.filter(z => keep.includes(z.id)) : plan.added;
+    const kept = picked.slice(0, plan.free);
+    return {
+      zones: plan.base.concat(kept),
+      added: kept,
+      skipped: plan.added.filter(z => !kept.includes(z))
+    };
+  }
+
+  // user-visible content only (createdAt, center and zoom do not make an update)
+  function sameZone(a, b) {
+    const key = (z) => JSON.stringify([z.name, z.color, z.description, z.properties, z.geojson, z.shape || null, !!z.locked]);
+    return !!a && !!b && key(a) === key(b);
+  }
+
+  const ZoneWidgetCore = {
+    OVERLAP_POLICIES,
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    DOCUMENT_SCHEMA,
+    migrateDocument,
+    validateDocument,
+    IMPORT_MODES,
+    planImport,
+    resolveImport,
+    ZONE_COLORS,
+    pickColor,
+    polygonsOf,
+    validateGeometry,
+    validateZones,
+    checkZone,
+    geometriesOverlap,
+    findOverlaps,
+    subtractGeometry,
+    haversine,
+    zoneStats,
+    formatArea,
+    formatLength,
+    zonesOf,
+    zoneContains,
+    findZonesAt,
+    parseLatLng,
+    circlePolygon,
+    bufferLine,
+    normalizeShape,
+    shapeGeometry,
+    snapGeometry,
+    FORMATS,
+    toFeatureCollection,
+    fromFeatureCollection,
+    toKML,
+    fromKML,
+    toGPX,
+    fromGPX,
+    detectFormat,
+    parseZones,
+    serializeZones,
+    DEFAULT_TILES,
+    normalizeTiles,
+    addBaseLayers,
+    tileLayerFor,
+    zoneThumbnailSVG,
+    drawZoneThumbnail,
+    leafletAssets,
+    ensureLeaflet
+  };
+
+  // export: CommonJS (Node, bundlers) and/or browser global (editor and viewer look it up there)
+  const isCommonJS = typeof module === "object" && module.exports;
+  if (isCommonJS) module.exports = ZoneWidgetCore;
+  if (!isCommonJS || typeof window !== "undefined") global.ZoneWidgetCore = ZoneWidgetCore;
+
+})(typeof window !== "undefined" ? window : globalThis);
@@ -4,6 +4,26 @@
  * - Modes: edit/view
  * - Limit zones, hides drawing toolbar when limit reached
  * - Click mini-card => focus on zone on main map
+ * - Edit mode: reshape/move existing zones (Leaflet.Draw edit toolbar)
+ * - Zone metadata: name, color, description, custom properties (edited on mini-card)
+ * - Events for host apps: api.on(type, handler) or mount option `on: { type: handler }`
+ * - Optional persistence: `storage` adapter (ZoneWidget.storage.local/indexedDB/rest or custom)
+ * - Undo/redo for zone operations (toolbar, Ctrl+Z / Ctrl+Shift+Z, api.undo/redo)
+ * - Geometry validation (draw, edit, import) + overlap policy between zones (zw-core.js)
+ * - Per-zone area/perimeter/vertex stats (card, tooltip, getZones, export)
+ * - Point lookup: api.findZonesAt([lat, lng]), api.contains(id, [lat, lng])
+ * - Import/export formats: ZoneWidget JSON, GeoJSON FeatureCollection, KML, GPX
+ * - Configurable base layers (`tiles`), layer switcher, custom/offline tile sources
+ * - Leaflet from unpkg, self-hosted files (`assetBase`/`leaflet`) or a bundle (zw.mjs)
+ * - UI language: `locale` ru/en/kk or custom `messages`, incl. Leaflet.Draw tooltips (api.setLocale)
+ * - Mini maps are kept per zone and patched on change (lazy when off-screen); api.destroy()
+ * - Lightweight SVG/canvas card thumbnails (`thumbnails`), api.getThumbnail(id) as SVG or PNG
+ * - Address / "lat, lng" search on the main map (`search`, ZoneWidget.geocoders), "start zone here"
+ * - Draw tools (`tools`): polygon, rectangle, circle, corridor (polyline + buffer); snapping to neighbours (`snap`)
+ * - Import dialog: replace / append / merge by id with preview, choice of zones over the limit (also api.setZones)
+ * - Accessibility: keyboard grid (arrows, Enter, Delete, F2), ARIA labels, aria-live messages, polygon from typed coordinates
+ * - Theming: --zw-* CSS custom properties, light/dark/auto `theme`; `layout`, hidden or host-rendered toolbar/grid/footer, `cardContent`
+ * - Permissions (`permissions`, api.setPermissions) and per-zone locks (api.setLocked): read-only zones in edit mode
  */
 (function (global) {
   const ZoneWidget = {
@@ -18,21 +38,65 @@
         zoom: 12,
         mode: "edit", // "edit" | "view"
         height: 360,
+        on: null, // { change|create|update|delete|clear|import|set|lock|modechange|limit: handler }
+        storage: null, // { load(): Promise<payload|null>, save(payload): Promise }
+        saveDelay: 400, // ms, debounce for storage.save
+        historyLimit: 50, // undo steps
+        overlap: "allow", // "allow" | "warn" | "forbid" | "clip"
+        units: "auto", // area display: "auto" | "m2" | "ha" | "km2"
+        exportFormat: "json", // preselected format: "json" | "geojson" | "kml" | "gpx"
+        tiles: undefined, // url | { name, url, attribution, maxZoom } | [...]; false = no tiles (see ZoneWidgetCore.normalizeTiles)
+        attributionText: null, // hint bar credit; default: "Leaflet | <active layer attribution> | A01L"
+        assetBase: null, // folder with self-hosted leaflet.js/.css + leaflet.draw.js/.css instead of unpkg
+        leaflet: null, // { js, css, drawJs, drawCss } URLs, or the Leaflet namespace itself (bundlers)
+        locale: "ru", // "ru" | "en" | "kk" | any key of ZoneWidget.locales
+        messages: null, // partial dictionary merged over the locale (see LOCALES)
+        thumbnails: "map", // mini cards: "map" (live Leaflet map with tiles) | "svg" | "canvas" (outline only, offline)
+        search: false, // search box on the main map: true (public Nominatim) | { provider, position, zoom, limit } | provider
+        tools: ["polygon", "rectangle"], // draw toolbar: "polygon" | "rectangle" | "circle" | "corridor"
+        corridorBuffer: 50, // m on each side of a corridor's line
+        circleSegments: 64, // polygon vertices of a circle (corridor joins use a quarter)
+        snap: false, // snap drawn/edited vertices to other zones: true | { distance } (px, default 10)
+        importMode: "replace", // preselected in the import dialog: "replace" | "append" | "merge" (by id)
+        theme: "light", // "light" | "dark" | "auto" (follows prefers-color-scheme)
+        themeVars: null, // CSS custom properties over the theme: { accent: "#f60" } or { "--zw-accent": "#f60" }
+        layout: ["map", "grid", "footer"], // order of the blocks (unlisted ones follow in the default order); "toolbar" listed -> its own block, else atop the map
+        toolbar: true, // false | item names in order: ["title", "format", "export", "import", "coords", "undo", "redo", "clear"] | (el, api) => cleanup?
+        grid: true, // mini cards: false | (el, api) => cleanup? (host renders its own list)
+        footer: true, // mode toggle: false | (el, api) => cleanup?
+        cardContent: null, // (zone, { index, mode }) => html string | Node, extra content on each mini card
+        permissions: null, // { canCreate, canDelete, canEditGeometry, canEditMeta, canImport, canExport, canToggleMode } - all true by default
         ...userOptions
       };
 
-      // ==== Load deps (Leaflet + Draw) only once
-      await ensureLeafletAndDraw();
+      // ==== Load deps (zw-core, then Leaflet + Draw unless already on the page) only once
+      const core = await ensureCore();
+      await core.ensureLeaflet({ draw: true, leaflet: options.leaflet, assetBase: options.assetBase });
 
       // ==== Unique scope for multi-instances
       const uid = "zw_" + Math.random().toString(16).slice(2) + "_" + Date.now().toString(16);
 
-      // ==== State (NO persistence)
+      // ==== State (persisted only through options.storage)
       const state = {
-        mode: options.mode,
-        zones: [] // { id, createdAt, geojson, center, zoom }
+        // "view" until storage.load() settles: nothing is edited or saved before the stored zones are in
+        mode: options.storage ? "view" : options.mode,
+        zones: [] // { id, createdAt, name, color, description, properties, geojson, center, zoom, shape?, locked? }
       };
 
+      // what the end user may do in edit mode (api.setPermissions); locked zones are read-only on top of that
+      const permissions = { ...PERMISSIONS, ...(options.permissions || {}) };
+      const can = (name) => permissions[name] !== false;
+
+      // id of the mini-card whose metadata form is open (edit mode)
+      let metaEditId = null;
+
+      // set by api.destroy(); late callbacks must not touch the removed maps
+      let destroyed = false;
+
+      // ==== Localization
+      let i18n = resolveMessages(options.locale, options.messages);
+      const t = (key, params) => translate(i18n, key, params);
+
       // ==== Render HTML
       el.innerHTML = buildHTML(uid, options.height);
       const root = el.querySelector(`#${uid}_root`);
@@ -44,57 +108,301 @@
       const mapEl = root.querySelector(`#${uid}_map`);
       const gridEl = root.querySelector(`#${uid}_grid`);
       const hintEl = root.querySelector(`#${uid}_hint`);
+      const statusEl = root.querySelector(`#${uid}_status`);
+      const liveEl = root.querySelector(`#${uid}_live`);
 
       const editActions = root.querySelector(`#${uid}_editActions`);
       const viewActions = root.querySelector(`#${uid}_viewActions`);
 
       const btnExport = root.querySelector(`#${uid}_btnExport`);
       const btnClearAll = root.querySelector(`#${uid}_btnClearAll`);
+      const btnUndo = root.querySelector(`#${uid}_btnUndo`);
+      const btnRedo = root.querySelector(`#${uid}_btnRedo`);
+      const btnCoords = root.querySelector(`#${uid}_btnCoords`);
       const fileImport = root.querySelector(`#${uid}_fileImport`);
+      const formatSelect = root.querySelector(`#${uid}_format`);
+      if (core.FORMATS[options.exportFormat]) formatSelect.value = options.exportFormat;
 
       const btnToggleMode = root.querySelector(`#${uid}_btnToggleMode`);
 
+      // ==== Layout: block order, toolbar items, hidden or host-rendered parts (slots are filled once the API exists)
+      const parts = {};
+      root.querySelectorAll("[data-zw-part]").forEach((n) => { parts[n.getAttribute("data-zw-part")] = n; });
+      const order = (Array.isArray(options.layout) ? options.layout : []).filter(name => parts[name]);
+      ["map", "grid", "footer"].forEach((name) => { if (!order.includes(name)) order.push(name); });
+      order.forEach(name => root.appendChild(parts[name]));
+
+      const toolbarItems = Array.isArray(options.toolbar) ? options.toolbar : null;
+      if (toolbarItems) {
+        toolbarItems.forEach((name) => {
+          const item = editActions.querySelector(`[data-zw-item="${name}"]`);
+          if (item) editActions.appendChild(item);
+        });
+      }
+
+      // toolbar items: listed in `toolbar` (if it is a list) and allowed by the permissions
+      function syncToolbarItems() {
+        const allowed = { format: can("canExport"), export: can("canExport"), import: can("canImport"), coords: can("canCreate"), clear: can("canDelete") };
+        parts.toolbar.querySelectorAll("[data-zw-item]").forEach((n) => {
+          const name = n.getAttribute("data-zw-item");
+          n.hidden = (toolbarItems && !toolbarItems.includes(name)) || allowed[name] === false;
+        });
+        // the built-in footer holds only the mode toggle
+        if (options.footer !== false && typeof options.footer !== "function") parts.footer.hidden = !can("canToggleMode");
+      }
+
+      const slots = {};
+      const slotCleanups = [];
+      ["toolbar", "grid", "footer"].forEach((name) => {
+        const part = parts[name];
+        if (options[name] === false) part.hidden = true;
+        else if (typeof options[name] === "function") {
+          // the built-in content stays (hidden): its handlers keep working through the API
+          Array.from(part.children).forEach((n) => { n.hidden = true; });
+          slots[name] = part.appendChild(document.createElement("div"));
+          slots[name].className = "zw-slot";
+          slots[name].setAttribute("data-zw-slot", name);
+        }
+      });
+      const gridShown = options.grid !== false && typeof options.grid !== "function";
+
+      // ==== Theme: data-zw-theme + --zw-* custom properties on the root
+      let themeVarNames = [];
+
+      // `vars` (when passed) replaces the previous themeVars
+      function setTheme(theme, vars) {
+        options.theme = theme;
+        root.setAttribute("data-zw-theme", ["dark", "auto"].includes(theme) ? theme : "light");
+        if (vars === undefined) return;
+        options.themeVars = vars;
+        themeVarNames.forEach(name => root.style.removeProperty(name));
+        themeVarNames = Object.keys(vars || {}).map((key) => {
+          const name = key.startsWith("--") ? key : `--zw-${key}`;
+          root.style.setProperty(name, vars[key]);
+          return name;
+        });
+      }
+      setTheme(options.theme, options.themeVars);
+
+      // static texts of buildHTML (data-i18n / data-i18n-title / data-i18n-placeholder / data-i18n-label)
+      function translateStatic() {
+        root.querySelectorAll("[data-i18n]").forEach((n) => { n.textContent = t(n.getAttribute("data-i18n")); });
+        root.querySelectorAll("[data-i18n-title]").forEach((n) => { n.title = t(n.getAttribute("data-i18n-title")); });
+        root.querySelectorAll("[data-i18n-placeholder]").forEach((n) => { n.placeholder = t(n.getAttribute("data-i18n-placeholder")); });
+        root.querySelectorAll("[data-i18n-label]").forEach((n) => { n.setAttribute("aria-label", t(n.getAttribute("data-i18n-label"))); });
+      }
+      translateStatic();
+
       // ==== Map init
       const map = L.map(mapEl, { zoomControl: true }).setView(options.center, options.zoom);
 
-      L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-        maxZoom: 19,
-        attribution: "&copy; OpenStreetMap contributors | A01L"
-      }).addTo(map);
+      const baseLayers = core.addBaseLayers(L, map, options.tiles);
 
       map.attributionControl.setPrefix(false);
+      map.attributionControl.addAttribution("A01L");
 
       const zonesLayer = new L.FeatureGroup();
       map.addLayer(zonesLayer);
 
+      // editable layers: one L.Polygon per zone part, tagged with zoneId
       const drawn = new L.FeatureGroup();
       map.addLayer(drawn);
 
+      // "move whole zone" handles, shown only while the edit toolbar is active
+      const moveHandles = L.layerGroup().addTo(map);
+
+      const tools = Array.isArray(options.tools) ? options.tools : [];
+      const polygonOptions = { allowIntersection: false, showArea: true };
       const drawControl = new L.Control.Draw({
         position: "topleft",
         draw: {
-          polygon: { allowIntersection: false, showArea: true },
-          rectangle: true,
-          circle: false,
+          polygon: tools.includes("polygon") ? polygonOptions : false,
+          rectangle: tools.includes("rectangle"),
+          circle: tools.includes("circle") ? { showRadius: true, metric: true } : false,
           circlemarker: false,
           marker: false,
-          polyline: false
+          // corridor: the drawn line is buffered by options.corridorBuffer
+          polyline: tools.includes("corridor") ? { metric: true, shapeOptions: { weight: 3, dashArray: "6 6" } } : false
         },
-        edit: false
+        edit: {
+          featureGroup: drawn,
+          remove: false,
+          poly: { allowIntersection: false }
+        }
       });
 
+      // ==== Events: every handler gets { type, zones (affected), state: { mode, zones } }
+      const listeners = {};
+
+      function on(type, handler) {
+        if (typeof handler !== "function") throw new Error("ZoneWidget: handler must be a function");
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
+      }
+
+      function off(type, handler) {
+        if (!listeners[type]) return;
+        listeners[type] = handler ? listeners[type].filter(h => h !== handler) : [];
+      }
+
+      function emit(type, detail = {}) {
+        (listeners[type] || []).slice().forEach((h) => {
+          try { h({ type, ...detail }); } catch (err) { console.error(`ZoneWidget: "${type}" handler failed`, err); }
+        });
+      }
+
+      if (options.on) Object.keys(options.on).forEach(type => on(type, options.on[type]));
+
+      const snapshot = () => ({ mode: state.mode, zones: publicZones(state.zones) });
+
+      // Fire the specific event, then "change" (with the cause in `action`), then "limit" if this change reached it:
+      // create/import/set pass the zone count before the change, "limit" fires once when it goes from below to the limit
+      function notifyChange(action, affected, countBefore = state.zones.length) {
+        const detail = { zones: publicZones(affected), state: snapshot() };
+        emit(action, detail);
+        emit("change", { action, ...detail });
+        if (countBefore < options.limit && state.zones.length >= options.limit) {
+          emit("limit", { limit: options.limit, count: state.zones.length, state: detail.state });
+        }
+      }
+
+      // ==== History: snapshots of state.zones taken before every mutation
+      const undoStack = [];
+      const redoStack = [];
+
+      function record() {
+        undoStack.push(clone(state.zones));
+        if (undoStack.length > options.historyLimit) undoStack.shift();
+        redoStack.length = 0;
+      }
+
+      function resetHistory() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+      }
+
+      // a step may only do what the user could do by hand now: permissions and locks apply to undo/redo too
+      function stepAllowed(next) {
+        const now = new Map(state.zones.map(z => [z.id, z]));
+        const ids = new Set(next.map(z => z.id));
+        const geometryKey = z => JSON.stringify([z.geojson, z.shape || null]);
+        const metaKey = z => JSON.stringify([z.name, z.color, z.description, z.properties]);
+        const removedOk = state.zones.every(z => ids.has(z.id) || (can("canDelete") && !z.locked));
+        return removedOk && next.every((z) => {
+          const cur = now.get(z.id);
+          if (!cur) return can("canCreate");
+          const geometryChanged = geometryKey(cur) !== geometryKey(z);
+          const metaChanged = metaKey(cur) !== metaKey(z);
+          if (cur.locked) return !geometryChanged && !metaChanged;
+          return (!geometryChanged || can("canEditGeometry")) && (!metaChanged || can("canEditMeta"));
+        });
+      }
+
+      const canStep = from => state.mode === "edit" && from.length > 0 && stepAllowed(from[from.length - 1]);
+
+      function stepHistory(from, to, action) {
+        if (!canStep(from)) return false;
+        to.push(clone(state.zones));
+        state.zones = from.pop();
+        metaEditId = null;
+        closeDialog();
+        applyMode();
+        notifyChange(action, state.zones);
+        return true;
+      }
+
+      const undo = () => stepHistory(undoStack, redoStack, "undo");
+      const redo = () => stepHistory(redoStack, undoStack, "redo");
+
       // ==== Helpers
       const makeId = () => "z_" + Math.random().toString(16).slice(2) + "_" + Date.now().toString(16);
 
-      function fmtTime(ts) {
-        const d = new Date(ts);
-        const pad = (n) => String(n).padStart(2, "0");
-        return `${pad(d.getDate())}.${pad(d.getMonth() + 1)}.${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+      const fmtTime = (ts) => formatDate(ts, i18n.dateFormat);
+
+      // zw-core issue { code, message, params } / thrown error { code } -> text in the current locale
+      function issueText(e) {
+        return (i18n.issues && i18n.issues[e.code]) ? t(`issues.${e.code}`, e.params) : e.message;
+      }
+
+      function errorText(err) {
+        return (err && err.code && i18n.errors && i18n.errors[err.code]) ? t(`errors.${err.code}`, err.params) : String((err && err.message) || err);
+      }
+
+      function zoneLabel(z) {
+        const i = state.zones.indexOf(z);
+        return z.name || `#${i + 1}`;
+      }
+
+      // stats are derived from geojson; cached per geojson object (it is replaced, never mutated)
+      const statsCache = new WeakMap();
+
+      function statsOf(z) {
+        if (!z.geojson || typeof z.geojson !== "object") return { area: 0, perimeter: 0, vertices: 0 };
+        if (!statsCache.has(z.geojson)) statsCache.set(z.geojson, core.zoneStats(z.geojson));
+        return statsCache.get(z.geojson);
+      }
+
+      // zones as handed out to the host: deep copies with computed stats
+      function publicZones(list) {
+        return list.map(z => ({ ...clone(z), stats: { ...statsOf(z) } }));
+      }
+
+      function statsText(z) {
+        const st = statsOf(z);
+        return `${core.formatArea(st.area, options.units, i18n.numberLocale, i18n.units)} · ${core.formatLength(st.perimeter, i18n.numberLocale, i18n.units)} · ${t("vertices", { n: st.vertices })}`;
+      }
+
+      function zoneTooltipHtml(z) {
+        const desc = z.description ? `<div>${escapeHtml(z.description)}</div>` : "";
+        const lock = z.locked ? ` <span title="${escapeHtml(t("locked"))}">🔒</span>` : "";
+        return `<b>${escapeHtml(zoneLabel(z))}</b>${lock}${desc}<div class="zw-stats">${statsText(z)}</div>`;
       }
 
-      function setHint(msg, warn = false) {
+      // `speak`: also read the message (without the credit line) to screen readers
+      function setHint(msg, warn = false, speak = false) {
         hintEl.innerHTML = msg;
         hintEl.classList.toggle("warn", !!warn);
+        if (!speak) return;
+        const copy = hintEl.cloneNode(true);
+        copy.querySelectorAll(".leaflet-control-attribution-show").forEach(n => n.remove());
+        announce(copy.textContent);
+      }
+
+      // aria-live region; cleared first so the same message is announced again,
+      // messages of one operation (e.g. "created" + "limit reached") are read together
+      let speech = [];
+      function announce(text) {
+        if (!speech.length) {
+          liveEl.textContent = "";
+          setTimeout(() => {
+            if (!destroyed) liveEl.textContent = speech.join(" ");
+            speech = [];
+          }, 50);
+        }
+        speech.push(String(text || "").replace(/\s+/g, " ").trim());
+      }
+
+      function attributionHtml() {
+        const active = baseLayers.active();
+        const text = options.attributionText || ["Leaflet", active && active.attribution, "A01L"].filter(Boolean).join(" | ");
+        return `<div class="leaflet-control-attribution-show">${text}</div>`;
+      }
+
+      // validation report -> hint html ("Зона 3 (z_..): ...")
+      function issuesHtml(title, list, key) {
+        const shown = list.slice(0, 5).map((it) => {
+          const label = (typeof it.index === "number") ? t("zoneN", { n: it.index + 1 }) : t("zone");
+          const id = it.id ? ` (${escapeHtml(it.id)})` : "";
+          return `<li>${escapeHtml(label)}${id}: ${escapeHtml(it[key].map(issueText).join("; "))}</li>`;
+        }).join("");
+        const more = list.length > 5 ? `<li>${escapeHtml(t("more", { n: list.length - 5 }))}</li>` : "";
+        return `<div>${title}<ul class="zw-issues">${shown}${more}</ul></div> ${attributionHtml()}`;
+      }
+
+      function setStatus(msg, error = false) {
+        statusEl.hidden = !msg;
+        statusEl.textContent = msg || "";
+        statusEl.classList.toggle("warn", !!error);
       }
 
       function safeBoundsFromGeo(geojson) {
@@ -124,47 +432,205 @@
         drawn.clearLayers();
 
         state.zones.forEach((z) => {
-          const style = () => ({ weight: 3, opacity: 1, fillOpacity: 0.15 });
+          const style = () => zoneStyle(z);
+          const tooltip = zoneTooltipHtml(z);
+
+          if (state.mode !== "edit" || z.locked) {
+            zonesLayer.addLayer(L.geoJSON(z.geojson, { style }).bindTooltip(tooltip, { sticky: true }));
+            return;
+          }
+          if (z.shape) {
+            drawn.addLayer(shapeLayer(z, tooltip));
+            return;
+          }
+          // editable copy: Leaflet.Draw can only edit plain paths, not GeoJSON groups
+          L.geoJSON(z.geojson, { style }).eachLayer((layer) => {
+            layer.zoneId = z.id;
+            layer.bindTooltip(tooltip, { sticky: true });
+            drawn.addLayer(layer);
+          });
+        });
+      }
 
-          zonesLayer.addLayer(L.geoJSON(z.geojson, { style }));
-          // editable copy (only matters in edit mode)
-          drawn.addLayer(L.geoJSON(z.geojson, { style }));
+      // Circles are edited as L.Circle (radius/move), corridors by their center line; the buffered
+      // area is drawn next to the line (not editable itself) and follows its edits
+      function shapeLayer(z, tooltip) {
+        let layer;
+        if (z.shape.type === "circle") {
+          layer = L.circle(z.shape.center, { ...zoneStyle(z), radius: z.shape.radius });
+        } else {
+          const area = L.geoJSON(z.geojson, { style: () => zoneStyle(z), interactive: false }).addTo(zonesLayer);
+          layer = L.polyline(z.shape.line, { color: z.color, weight: 3, dashArray: "6 6" });
+          layer.corridorBuffer = z.shape.buffer;
+          layer.on("edit", () => {
+            area.clearLayers();
+            area.addData(core.shapeGeometry(shapeOfLayer(layer), shapeOpts()));
+          });
+        }
+        layer.zoneId = z.id;
+        layer.bindTooltip(tooltip, { sticky: true });
+        return layer;
+      }
+
+      const shapeOpts = () => ({ segments: options.circleSegments });
+      const toLatLng = ll => [ll.lat, ll.lng];
+
+      // drawn/edited Leaflet layer -> shape record (null for plain polygons)
+      function shapeOfLayer(layer) {
+        if (layer instanceof L.Circle) return { type: "circle", center: toLatLng(layer.getLatLng()), radius: layer.getRadius() };
+        if (layer instanceof L.Polyline && !(layer instanceof L.Polygon)) {
+          return { type: "corridor", line: layer.getLatLngs().map(toLatLng), buffer: layer.corridorBuffer || options.corridorBuffer };
+        }
+        return null;
+      }
+
+      // snapping tolerance: options.snap.distance screen pixels at the current zoom, in meters
+      function snapTolerance() {
+        if (!options.snap) return 0;
+        const px = (typeof options.snap === "object" && options.snap.distance) || 10;
+        const c = map.getCenter();
+        const p = map.latLngToContainerPoint(c);
+        return map.distance(c, map.containerPointToLatLng([p.x + px, p.y]));
+      }
+
+      function snapped(geojson, skipId) {
+        const tolerance = snapTolerance();
+        return tolerance ? core.snapGeometry(geojson, state.zones, tolerance, skipId).geojson : geojson;
+      }
+
+      // Collect the edited layers of a zone back into its geojson (+ shape for circles/corridors)
+      function geoFromLayers(zoneId) {
+        const parts = drawn.getLayers().filter(l => l.zoneId === zoneId);
+        const shape = (parts.length === 1) ? shapeOfLayer(parts[0]) : null;
+        if (shape) return { geojson: core.shapeGeometry(shape, shapeOpts()), shape };
+        const geojson = (parts.length === 1) ? parts[0].toGeoJSON() : { type: "FeatureCollection", features: parts.map(l => l.toGeoJSON()) };
+        return { geojson: snapped(geojson, zoneId), shape: null };
+      }
+
+      function shiftLatLngs(latlngs, dLat, dLng) {
+        latlngs.forEach((ll) => {
+          if (Array.isArray(ll)) return shiftLatLngs(ll, dLat, dLng);
+          ll.lat += dLat;
+          ll.lng += dLng;
         });
       }
 
-      // Render mini grid
-      function renderGrid() {
-        gridEl.innerHTML = "";
-        if (!state.zones.length) {
-          gridEl.innerHTML = `<div class="zw-empty" style="grid-column:1/-1;">Пока пусто. Импортируйте JSON или создайте зону (в edit mode).</div>`;
-          return;
+      function showMoveHandles() {
+        moveHandles.clearLayers();
+        drawn.eachLayer((layer) => {
+          // circles bring their own move marker
+          if (!layer.getBounds || !layer.getLatLngs) return;
+          const handle = L.marker(layer.getBounds().getCenter(), {
+            draggable: true,
+            zIndexOffset: 20,
+            icon: L.divIcon({ className: "leaflet-div-icon leaflet-editing-icon leaflet-edit-move", iconSize: [8, 8] })
+          });
+          let prev = null;
+          handle.on("dragstart", () => { prev = handle.getLatLng(); });
+          handle.on("drag", () => {
+            const cur = handle.getLatLng();
+            // mutate in place: Leaflet.Draw vertex handlers keep references to these LatLngs
+            shiftLatLngs(layer.getLatLngs(), cur.lat - prev.lat, cur.lng - prev.lng);
+            prev = cur;
+            layer.redraw();
+            if (layer.editing && layer.editing.enabled()) layer.editing.updateMarkers();
+          });
+          handle.on("dragend", () => {
+            layer.edited = true;
+            layer.fire("edit");
+          });
+          moveHandles.addLayer(handle);
+        });
+      }
+
+      // ==== Mini grid: one card + mini map per zone id, kept between renders and patched in place
+      const minis = new Map(); // id -> { card, info, mini, map, infoHtml, geoKey, color, tiles, tileLayer, shape }
+      let emptyEl = null;
+      let activeCardId = null; // card in the tab order (keyboard navigation of the grid)
+      let limitAnnounced = false;
+      const thumbnails = ["svg", "canvas"].includes(options.thumbnails) ? options.thumbnails : "map";
+
+      // mini maps are created when their card first scrolls into view (cheap grid with a high limit)
+      const lazyMinis = (thumbnails === "map" && global.IntersectionObserver)
+        ? new IntersectionObserver((entries) => {
+          entries.forEach((en) => {
+            if (!en.isIntersecting) return;
+            lazyMinis.unobserve(en.target);
+            const entry = minis.get(en.target.getAttribute("data-zone"));
+            if (entry) syncMini(entry, state.zones.find(z => z.id === entry.id));
+          });
+        }, { root: null, rootMargin: "200px" })
+        : null;
+
+      // geometry identity that survives clones (undo/redo, storage): cached JSON per geojson object
+      const geoKeys = new WeakMap();
+
+      function geoKeyOf(geojson) {
+        if (!geojson || typeof geojson !== "object") return "";
+        if (!geoKeys.has(geojson)) geoKeys.set(geojson, JSON.stringify(geojson));
+        return geoKeys.get(geojson);
+      }
+
+      // host content for a card (option cardContent): html string, DOM node or nothing
+      function cardContent(z, index) {
+        if (typeof options.cardContent !== "function") return null;
+        try {
+          const out = options.cardContent(publicZones([z])[0], { index, mode: state.mode });
+          return (out instanceof Node || (typeof out === "string" && out)) ? out : null;
+        } catch (err) {
+          console.error("ZoneWidget: cardContent failed", err);
+          return null;
         }
+      }
 
-        state.zones.forEach((z, i) => {
-          const card = document.createElement("div");
-          card.className = "zw-card";
-          card.setAttribute("data-zone", z.id);
-          card.title = "Нажмите чтобы сфокусироваться на зоне";
-
-          const miniId = `${uid}_mini_${z.id}`;
-
-          const delBtn = (state.mode === "edit")
-            ? `<button class="zw-del" type="button" data-del="${z.id}" title="Удалить">✕</button>`
-            : `<span style="width:28px;"></span>`;
-
-          card.innerHTML = `
-            <div id="${miniId}" class="zw-mini"></div>
-            <div class="zw-cardbar">
-              <span class="zw-badge">#${i + 1}</span>
-              <span class="zw-time" title="Дата">${fmtTime(z.createdAt)}</span>
-              ${delBtn}
-            </div>
-          `;
+      function cardInfoHtml(z, i, extra) {
+        const label = escapeHtml(zoneLabel(z));
+        const editable = state.mode === "edit" && !z.locked;
+        const metaBtn = (editable && can("canEditMeta"))
+          ? `<button class="zw-del" type="button" data-meta="${z.id}" title="${escapeHtml(t("metaButton"))}" aria-label="${escapeHtml(t("a11y.meta", { name: zoneLabel(z) }))}" aria-expanded="${metaEditId === z.id}" tabindex="-1">✎</button>`
+          : "";
+        const delBtn = (editable && can("canDelete"))
+          ? `<button class="zw-del" type="button" data-del="${z.id}" title="${escapeHtml(t("deleteButton"))}" aria-label="${escapeHtml(t("a11y.delete", { name: zoneLabel(z) }))}" tabindex="-1">✕</button>`
+          : "";
+        const lock = z.locked ? `<span class="zw-lock" title="${escapeHtml(t("locked"))}" role="img" aria-label="${escapeHtml(t("locked"))}">🔒</span>` : "";
+        const buttons = (metaBtn || delBtn || lock) ? `${lock}${metaBtn}${delBtn}` : `<span style="width:28px;"></span>`;
+
+        const desc = z.description
+          ? `<div class="zw-desc" title="${escapeHtml(z.description)}">${escapeHtml(z.description)}</div>`
+          : "";
+
+        return `
+          <div class="zw-cardbar">
+            <span class="zw-badge" style="border-color:${z.color};">#${i + 1}</span>
+            <span class="zw-name" title="${label}">${escapeHtml(z.name) || `<span class="zw-time" title="${escapeHtml(t("dateTitle"))}">${fmtTime(z.createdAt)}</span>`}</span>
+            <span class="zw-cardbtns">${buttons}</span>
+          </div>
+          <div class="zw-stats" title="${escapeHtml(t("statsTitle"))}">${statsText(z)}</div>
+          ${desc}
+          ${extra ? `<div class="zw-card-extra">${(typeof extra === "string") ? extra : ""}</div>` : ""}
+          ${(editable && can("canEditMeta") && metaEditId === z.id) ? buildMetaForm(z, t) : ""}
+        `;
+      }
 
-          gridEl.appendChild(card);
+      function createCard(z) {
+        const card = document.createElement("div");
+        card.className = "zw-card";
+        card.setAttribute("data-zone", z.id);
+        card.setAttribute("role", "listitem");
+        card.tabIndex = -1;
+        card.innerHTML = `<div class="zw-mini${thumbnails === "map" ? "" : " zw-thumb"}" aria-hidden="true"></div><div class="zw-cardinfo"></div>`;
+        const entry = { id: z.id, card, mini: card.firstChild, info: card.lastChild, map: null, infoHtml: null, geoKey: null, color: null, tiles: null, tileLayer: null, shape: null };
+        minis.set(z.id, entry);
+        if (lazyMinis) lazyMinis.observe(card);
+        return entry;
+      }
 
-          // mini map (non-interactive)
-          const mini = L.map(miniId, {
+      // create the mini map on first use, then swap only what changed: tiles, outline/color
+      function syncMini(entry, z) {
+        if (!z) return;
+        if (thumbnails !== "map") return syncThumbnail(entry, z);
+        if (!entry.map) {
+          entry.map = L.map(entry.mini, {
             attributionControl: false,
             zoomControl: false,
             dragging: false,
@@ -175,150 +641,990 @@
             tap: false,
             touchZoom: false
           }).setView(z.center, z.zoom);
+        }
+        const mini = entry.map;
 
-          L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(mini);
+        const tiles = baseLayers.active();
+        if (entry.tiles !== tiles) {
+          if (entry.tileLayer) mini.removeLayer(entry.tileLayer);
+          entry.tileLayer = tiles ? core.tileLayerFor(L, tiles, false).addTo(mini) : null;
+          entry.tiles = tiles;
+        }
 
-          const gj = L.geoJSON(z.geojson, { style: () => ({ weight: 3, opacity: 1, fillOpacity: 0.15 }) }).addTo(mini);
+        const key = geoKeyOf(z.geojson);
+        if (entry.geoKey !== key || entry.color !== z.color) {
+          if (entry.shape) mini.removeLayer(entry.shape);
+          entry.shape = L.geoJSON(z.geojson, { style: () => zoneStyle(z) }).addTo(mini);
           try {
-            const b = gj.getBounds();
+            const b = entry.shape.getBounds();
             if (b.isValid()) mini.fitBounds(b, { padding: [10, 10] });
           } catch {}
+          entry.geoKey = key;
+          entry.color = z.color;
+        }
+      }
+
+      // static outline instead of a map: no tiles, no Leaflet instance per card
+      function syncThumbnail(entry, z) {
+        const key = geoKeyOf(z.geojson);
+        if (entry.geoKey === key && entry.color === z.color) return;
+        entry.geoKey = key;
+        entry.color = z.color;
+
+        const width = entry.mini.clientWidth || 200;
+        const height = entry.mini.clientHeight || 120;
+        if (thumbnails === "svg") {
+          entry.mini.innerHTML = core.zoneThumbnailSVG(z, { width, height, padding: 10 });
+          return;
+        }
+        // canvas: backing store in device pixels, CSS scales it to the card
+        const ratio = global.devicePixelRatio || 1;
+        const canvas = entry.mini.querySelector("canvas") || entry.mini.appendChild(document.createElement("canvas"));
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext && canvas.getContext("2d");
+        if (ctx) core.drawZoneThumbnail(ctx, z, { padding: 10 * ratio, weight: 2 * ratio });
+      }
+
+      function dropCard(entry) {
+        if (lazyMinis) lazyMinis.unobserve(entry.card);
+        if (entry.map) entry.map.remove();
+        entry.card.remove();
+        minis.delete(entry.id);
+      }
+
+      // Render mini grid: cards of removed zones go away, new ones are added, the rest are patched
+      function renderGrid() {
+        if (!gridShown) return;
+        const ids = new Set(state.zones.map(z => z.id));
+        minis.forEach((entry) => { if (!ids.has(entry.id)) dropCard(entry); });
+
+        if (!state.zones.length) {
+          if (!emptyEl) {
+            emptyEl = document.createElement("div");
+            emptyEl.className = "zw-empty";
+            emptyEl.style.gridColumn = "1/-1";
+            gridEl.appendChild(emptyEl);
+          }
+          emptyEl.textContent = t("empty");
+          return;
+        }
+        if (emptyEl) {
+          emptyEl.remove();
+          emptyEl = null;
+        }
+
+        // roving tabindex: one card is in the tab order, arrows move between cards
+        if (!state.zones.some(z => z.id === activeCardId)) activeCardId = state.zones[0].id;
+
+        state.zones.forEach((z, i) => {
+          const entry = minis.get(z.id) || createCard(z);
+          entry.card.title = t("cardTitle");
+          entry.card.setAttribute("aria-label", `${z.name ? `${t("zoneN", { n: i + 1 })}: ${z.name}` : t("zoneN", { n: i + 1 })}. ${statsText(z)}`);
+          entry.card.tabIndex = (z.id === activeCardId) ? 0 : -1;
+
+          const extra = cardContent(z, i);
+          const html = cardInfoHtml(z, i, extra);
+          if (entry.infoHtml !== html) {
+            entry.info.innerHTML = html;
+            entry.infoHtml = html;
+          }
+          const extraBox = (extra instanceof Node) && entry.info.querySelector(".zw-card-extra");
+          if (extraBox && extraBox.firstChild !== extra) extraBox.replaceChildren(extra);
+
+          // keep DOM order = zone order, moving only misplaced cards
+          if (gridEl.children[i] !== entry.card) gridEl.insertBefore(entry.card, gridEl.children[i] || null);
+
+          if (entry.map || !lazyMinis) syncMini(entry, z);
         });
       }
 
       function applyDrawAvailability() {
         const limitReached = state.zones.length >= options.limit;
-        const showDrawUI = (state.mode === "edit") && !limitReached;
+        const showDrawUI = (state.mode === "edit") && !limitReached && can("canCreate");
 
         root.classList.toggle("zw-draw-hidden", !showDrawUI);
-
-        if (state.mode === "edit" && limitReached) {
-          setHint(`<div>Лимит зон достигнут! Максимум: <b>${options.limit}</b>. Удалите не нужную зону, чтобы добавить новую.</div> <div class="leaflet-control-attribution-show">Leaflet | © OpenStreetMap contributors | A01L</div>`, true);
+        btnCoords.disabled = !showDrawUI;
+        syncToolbarItems();
+
+        if (state.mode === "edit" && !can("canCreate")) {
+          setHint(`<div>${t("hintNoCreate")}</div> ${attributionHtml()}`, false);
+        } else if (state.mode === "edit" && limitReached) {
+          // announced once when the limit is reached, not on every re-render
+          setHint(`<div>${t("hintLimit", { limit: options.limit })}</div> ${attributionHtml()}`, true, !limitAnnounced);
+          limitAnnounced = true;
         } else if (state.mode === "edit") {
-          setHint(`<div>Рисуйте область (полигон/прямоугольник). Лимит: <b>${options.limit}</b>.</div> <div class="leaflet-control-attribution-show">Leaflet | © OpenStreetMap contributors | A01L</div>`, false);
+          setHint(`<div>${t("hintDraw", { limit: options.limit })}</div> ${attributionHtml()}`, false);
         } else {
-          setHint(`<div>Режим просмотра: перемещайте карту, масштабируйте, кликайте по мини-картам для фокуса.</div> <div class="leaflet-control-attribution-show">Leaflet | © OpenStreetMap contributors | A01L</div>`, false);
+          setHint(`<div>${t("hintView")}</div> ${attributionHtml()}`, false);
         }
+        if (!limitReached) limitAnnounced = false;
+
+        btnUndo.disabled = !canStep(undoStack);
+        btnRedo.disabled = !canStep(redoStack);
 
         editActions.style.display = (state.mode === "edit") ? "flex" : "none";
         viewActions.style.display = (state.mode === "view") ? "flex" : "none";
       }
 
       function applyMode() {
-        // remove draw control safely
+        if (destroyed) return;
+        // remove draw control safely; re-adding rebuilds its buttons with the current L.drawLocal
         try { map.removeControl(drawControl); } catch {}
-        if (state.mode === "edit") map.addControl(drawControl);
+        if (state.mode !== "edit") stopZoneStart();
+        if (state.mode === "edit") {
+          applyDrawLocale(i18n.draw);
+          map.addControl(drawControl);
+          // Leaflet.Draw puts the edit toolbar into its own section
+          const editBtn = drawControl.getContainer().querySelector(".leaflet-draw-edit-edit");
+          if (editBtn) editBtn.closest(".leaflet-draw-section").hidden = !can("canEditGeometry");
+        }
 
         renderZonesOnMain();
         renderGrid();
         applyDrawAvailability();
       }
 
+      // mini maps and the credit line follow the base layer picked in the switcher
+      map.on("baselayerchange", () => {
+        renderGrid();
+        applyDrawAvailability();
+      });
+
       // ==== Draw create event
       map.on(L.Draw.Event.CREATED, (evt) => {
-        if (state.mode !== "edit") return;
+        if (state.mode !== "edit" || !can("canCreate")) return;
         if (state.zones.length >= options.limit) {
+          limitAnnounced = false;
           applyDrawAvailability();
+          emit("limit", { limit: options.limit, count: state.zones.length, state: snapshot() });
           return;
         }
 
         const layer = evt.layer;
         drawn.addLayer(layer);
 
-        const geo = layer.toGeoJSON();
+        const shape = shapeOfLayer(layer);
+        const drawnGeo = shape ? core.shapeGeometry(shape, shapeOpts()) : snapped(layer.toGeoJSON());
+        if (createZone(drawnGeo, shape).errors.length) drawn.removeLayer(layer);
+      });
+
+      // Validate and add a drawn (or typed) zone; returns the check (rejected if it has errors, shown in the hint)
+      function createZone(drawnGeo, shape) {
+        const check = core.checkZone({ geojson: drawnGeo }, state.zones, { policy: options.overlap, near: options.center });
+        if (check.errors.length) {
+          setHint(issuesHtml(t("createRejected"), [{ errors: check.errors }], "errors"), true, true);
+          return check;
+        }
+
+        const geo = check.geojson;
         const b = safeBoundsFromGeo(geo);
         const center = b ? [b.getCenter().lat, b.getCenter().lng] : [map.getCenter().lat, map.getCenter().lng];
         const zoom = Math.min(map.getZoom(), 17);
 
+        record();
         state.zones.push({
           id: makeId(),
           createdAt: Date.now(),
+          name: "",
+          color: core.pickColor(state.zones),
+          description: "",
+          properties: {},
           geojson: geo,
           center,
-          zoom
+          zoom,
+          // a clipped circle/corridor is no longer that shape: it stays a plain polygon
+          ...((shape && !isClipped(check)) ? { shape } : {})
         });
 
+        const zone = state.zones[state.zones.length - 1];
         applyMode();
-        focusZone(state.zones[state.zones.length - 1]);
+        focusZone(zone);
+        if (check.warnings.length) setHint(issuesHtml(t("createWarned"), [{ warnings: check.warnings }], "warnings"), true, true);
+        else announce(t("a11y.created", { name: zoneLabel(zone) }));
+        notifyChange("create", [zone], state.zones.length - 1);
+        return check;
+      }
+
+      // another widget on the page may have switched L.drawLocal meanwhile
+      map.on(L.Draw.Event.DRAWSTART, () => applyDrawLocale(i18n.draw));
+
+      // ==== Draw edit events: move handles + write edited geometry back
+      map.on(L.Draw.Event.EDITSTART, () => {
+        applyDrawLocale(i18n.draw);
+        showMoveHandles();
       });
+      map.on(L.Draw.Event.EDITSTOP, () => moveHandles.clearLayers());
 
-      // ==== Grid click: delete/focus
+      map.on(L.Draw.Event.EDITED, (evt) => {
+        if (state.mode !== "edit") return;
+        if (!can("canEditGeometry")) {
+          applyMode();
+          return;
+        }
+
+        const ids = new Set();
+        evt.layers.eachLayer((layer) => { if (layer.zoneId) ids.add(layer.zoneId); });
+        if (!ids.size) return;
+
+        // validate all edited zones first: a rejected edit is simply not written back
+        const rejected = [];
+        const warned = [];
+        const accepted = [];
+        ids.forEach((id) => {
+          const zone = state.zones.find(z => z.id === id);
+          if (!zone || zone.locked) return;
+          const index = state.zones.indexOf(zone);
+          const edited = geoFromLayers(id);
+          const check = core.checkZone({ id, geojson: edited.geojson }, state.zones, { policy: options.overlap, near: options.center });
+          if (check.errors.length) rejected.push({ index, id, errors: check.errors });
+          else {
+            if (check.warnings.length) warned.push({ index, id, warnings: check.warnings });
+            accepted.push([zone, check.geojson, (edited.shape && !isClipped(check)) ? edited.shape : null]);
+          }
+        });
+
+        if (accepted.length) record();
+        const updated = [];
+        accepted.forEach(([zone, geojson, shape]) => {
+          updated.push(zone);
+          zone.geojson = geojson;
+          if (shape) zone.shape = shape;
+          else delete zone.shape;
+          const b = safeBoundsFromGeo(zone.geojson);
+          if (b) {
+            zone.center = [b.getCenter().lat, b.getCenter().lng];
+            zone.zoom = Math.min(map.getBoundsZoom(b), 17);
+          }
+        });
+
+        applyMode();
+        if (rejected.length) setHint(issuesHtml(t("editRejected"), rejected, "errors"), true, true);
+        else if (warned.length) setHint(issuesHtml(t("editWarned"), warned, "warnings"), true, true);
+        if (updated.length) notifyChange("update", updated);
+      });
+
+      // ==== Grid click: delete/focus/metadata form
       gridEl.addEventListener("click", (e) => {
+        const form = e.target.closest("[data-meta-form]");
+        if (form) {
+          const action = e.target.closest("[data-meta-action]");
+          if (!action || state.mode !== "edit") return;
+          const zone = state.zones.find(z => z.id === form.getAttribute("data-meta-form"));
+          const save = zone && !zone.locked && can("canEditMeta") && action.getAttribute("data-meta-action") === "save";
+          if (save) {
+            try {
+              const meta = readMetaForm(form, t);
+              record();
+              Object.assign(zone, meta);
+            } catch (err) {
+              setHint(escapeHtml(t("error", { message: errorText(err) })), true);
+              return;
+            }
+          }
+          metaEditId = null;
+          applyMode();
+          if (save) notifyChange("update", [zone]);
+          return;
+        }
+        const meta = e.target.closest("[data-meta]");
+        if (meta) {
+          toggleMetaForm(meta.getAttribute("data-meta"));
+          return;
+        }
         const del = e.target.closest("[data-del]");
         if (del) {
-          if (state.mode !== "edit") return;
-          const id = del.getAttribute("data-del");
-          const idx = state.zones.findIndex(z => z.id === id);
-          if (idx >= 0) state.zones.splice(idx, 1);
-          applyMode();
+          deleteZone(del.getAttribute("data-del"));
           return;
         }
         const card = e.target.closest("[data-zone]");
-        if (card) focusZoneById(card.getAttribute("data-zone"));
+        if (card) {
+          activeCardId = card.getAttribute("data-zone");
+          focusZoneById(activeCardId);
+        }
       });
 
+      // ==== Grid keyboard: arrows/Home/End move between cards, Enter/Space focus the zone,
+      // Delete/Backspace remove it, F2 opens the metadata form (edit mode)
+      gridEl.addEventListener("keydown", (e) => {
+        const card = e.target.closest("[data-zone]");
+        if (!card || e.target !== card || e.ctrlKey || e.metaKey || e.altKey) return;
+        const id = card.getAttribute("data-zone");
+        const index = state.zones.findIndex(z => z.id === id);
+        const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -gridColumns(), ArrowDown: gridColumns() }[e.key];
+        let handled = true;
+        if (step) focusCard(Math.max(0, Math.min(state.zones.length - 1, index + step)));
+        else if (e.key === "Home") focusCard(0);
+        else if (e.key === "End") focusCard(state.zones.length - 1);
+        else if (e.key === "Enter" || e.key === " ") focusZoneById(id);
+        else if ((e.key === "Delete" || e.key === "Backspace") && state.mode === "edit") {
+          if (!can("canDelete") || (state.zones[index] && state.zones[index].locked)) return;
+          deleteZone(id);
+          if (state.zones.length) focusCard(Math.min(index, state.zones.length - 1));
+          else gridEl.focus();
+        } else if (e.key === "F2" && state.mode === "edit") {
+          toggleMetaForm(id);
+          const input = minis.get(id) && minis.get(id).card.querySelector("[data-meta-form] input");
+          if (input) input.focus();
+        } else handled = false;
+        if (handled) e.preventDefault();
+      });
+
+      // Escape in the metadata form closes it and returns to the card
+      gridEl.addEventListener("keydown", (e) => {
+        const form = e.target.closest("[data-meta-form]");
+        if (!form || e.key !== "Escape") return;
+        const id = form.getAttribute("data-meta-form");
+        metaEditId = null;
+        renderGrid();
+        focusCard(state.zones.findIndex(z => z.id === id));
+      });
+
+      function focusCard(index) {
+        const zone = state.zones[index];
+        const entry = zone && minis.get(zone.id);
+        if (!entry) return;
+        activeCardId = zone.id;
+        minis.forEach(m => { m.card.tabIndex = (m === entry) ? 0 : -1; });
+        entry.card.focus();
+      }
+
+      // cards per row as laid out now (the grid is responsive)
+      function gridColumns() {
+        const cards = Array.from(gridEl.children).filter(n => n.hasAttribute("data-zone"));
+        if (!cards.length) return 1;
+        const top = cards[0].offsetTop;
+        const n = cards.findIndex(c => c.offsetTop !== top);
+        return n > 0 ? n : cards.length;
+      }
+
+      function toggleMetaForm(id) {
+        const zone = state.zones.find(z => z.id === id);
+        if (state.mode !== "edit" || !zone || zone.locked || !can("canEditMeta")) return;
+        metaEditId = (metaEditId === id) ? null : id;
+        renderGrid();
+      }
+
+      function deleteZone(id) {
+        if (state.mode !== "edit" || !can("canDelete")) return;
+        const idx = state.zones.findIndex(z => z.id === id);
+        if (idx < 0 || state.zones[idx].locked) return;
+        const label = zoneLabel(state.zones[idx]);
+        record();
+        const removed = state.zones.splice(idx, 1);
+        applyMode();
+        announce(t("a11y.deleted", { name: label }));
+        notifyChange("delete", removed);
+      }
+
+      // ==== Search: "lat, lng" is parsed locally, anything else goes to the geocoder provider
+      const searchConf = searchConfig(options.search);
+      const searchLayer = L.layerGroup().addTo(map);
+      let searchAbort = null;
+
+      async function search(query) {
+        const q = String(query == null ? "" : query).trim();
+        if (!q) return [];
+        const latlng = core.parseLatLng(q);
+        if (latlng) return [{ label: latlng.map(v => v.toFixed(6)).join(", "), latlng, coordinates: true }];
+        if (!searchConf) throw new Error("ZoneWidget: no geocoder provider (option `search`)");
+        if (searchAbort) searchAbort.abort();
+        searchAbort = global.AbortController ? new AbortController() : null;
+        const results = await searchConf.provider.search(q, {
+          limit: searchConf.limit,
+          locale: options.locale,
+          center: [map.getCenter().lat, map.getCenter().lng],
+          signal: searchAbort && searchAbort.signal
+        });
+        return (results || []).filter(r => r && Array.isArray(r.latlng));
+      }
+
+      // center the map on [lat, lng] or a search result; startZone: switch on polygon drawing there
+      function goTo(target, { zoom, startZone = false } = {}) {
+        if (destroyed) return false;
+        const result = Array.isArray(target) ? { latlng: target } : target;
+        if (!result || !Array.isArray(result.latlng)) return false;
+        const z = zoom || (searchConf && searchConf.zoom) || 16;
+        const b = Array.isArray(result.bounds) ? L.latLngBounds(result.bounds) : null;
+        if (b && b.isValid() && !startZone) map.fitBounds(b, { padding: [30, 30], maxZoom: z });
+        else map.setView(result.latlng, z);
+
+        searchLayer.clearLayers();
+        const marker = L.circleMarker(result.latlng, { radius: 7, weight: 2, color: "#e4572e", fillOpacity: 0.6 }).addTo(searchLayer);
+        if (startZone) return startZoneAt();
+        if (result.label) marker.bindPopup(searchPopupHtml(result)).openPopup();
+        return true;
+      }
+
+      function canStartZone() {
+        return state.mode === "edit" && can("canCreate") && state.zones.length < options.limit;
+      }
+
+      // drawing started outside the toolbar, which cannot stop it: other drawing or leaving edit mode does
+      let zoneStart = null;
+
+      function stopZoneStart() {
+        if (zoneStart) zoneStart.disable();
+        zoneStart = null;
+      }
+
+      map.on(L.Draw.Event.DRAWSTART, stopZoneStart);
+
+      function startZoneAt() {
+        if (!canStartZone()) return false;
+        applyDrawLocale(i18n.draw);
+        stopZoneStart();
+        const handler = new L.Draw.Polygon(map, polygonOptions);
+        handler.enable();
+        zoneStart = handler;
+        map.closePopup();
+        return true;
+      }
+
+      function searchPopupHtml(result) {
+        const start = canStartZone()
+          ? `<div><button class="zw-btn zw-search-start" type="button" data-zw-start>${escapeHtml(t("search.startZone"))}</button></div>`
+          : "";
+        return `<div class="zw-search-popup"><div>${escapeHtml(result.label)}</div>${start}</div>`;
+      }
+
+      map.on("popupopen", (e) => {
+        const btn = e.popup.getElement() && e.popup.getElement().querySelector("[data-zw-start]");
+        if (btn) btn.addEventListener("click", () => startZoneAt());
+      });
+
+      if (searchConf) {
+        const control = L.control({ position: searchConf.position });
+        control.onAdd = () => {
+          const box = L.DomUtil.create("div", "zw-search leaflet-bar");
+          box.innerHTML = `
+            <form class="zw-search-form">
+              <input class="zw-search-input" type="search" data-i18n-placeholder="search.placeholder" data-i18n-title="search.title" autocomplete="off">
+              <button class="zw-search-btn" type="submit" data-i18n-title="search.button">⌕</button>
+            </form>
+            <div class="zw-search-results" hidden></div>`;
+          L.DomEvent.disableClickPropagation(box);
+          L.DomEvent.disableScrollPropagation(box);
+          const input = box.querySelector("input");
+          const list = box.querySelector(".zw-search-results");
+          let results = [];
+
+          const showList = (html) => {
+            list.innerHTML = html;
+            list.hidden = !html;
+          };
+
+          box.querySelector("form").addEventListener("submit", async (e) => {
+            e.preventDefault();
+            const query = input.value;
+            if (!query.trim()) return showList("");
+            showList(`<div class="zw-search-note">${escapeHtml(t("search.searching"))}</div>`);
+            try {
+              results = await search(query);
+            } catch (err) {
+              if (err && err.name === "AbortError") return;
+              showList(`<div class="zw-search-note warn">${escapeHtml(t("search.error", { message: errorText(err) }))}</div>`);
+              return;
+            }
+            if (query !== input.value) return;
+            // a single hit (or typed coordinates) goes straight to the map
+            if (results.length === 1) {
+              showList("");
+              goTo(results[0]);
+              return;
+            }
+            showList(results.length
+              ? results.map((r, i) => `<button class="zw-search-item" type="button" data-result="${i}">${escapeHtml(r.label)}</button>`).join("")
+              : `<div class="zw-search-note">${escapeHtml(t("search.noResults"))}</div>`);
+          });
+
+          list.addEventListener("click", (e) => {
+            const item = e.target.closest("[data-result]");
+            if (!item) return;
+            // the item is detached below: Leaflet would take the click for a map click and close the new popup
+            e.stopPropagation();
+            showList("");
+            goTo(results[Number(item.getAttribute("data-result"))]);
+          });
+
+          input.addEventListener("keydown", (e) => {
+            if (e.key === "Escape") {
+              showList("");
+              searchLayer.clearLayers();
+            }
+          });
+          return box;
+        };
+        control.addTo(map);
+        translateStatic();
+      }
+
       // ==== Export / Import (only in edit)
-      btnExport.addEventListener("click", () => {
-        if (state.mode !== "edit") return;
-        const payload = {
-          version: 1,
+      const importOptions = () => ({ overlap: options.overlap, near: options.center });
+
+      // `limit: Infinity` would be written as null: an unlimited editor leaves meta.limit out
+      function exportPayload() {
+        return {
+          version: core.SCHEMA_VERSION,
           exportedAt: new Date().toISOString(),
-          meta: { limit: options.limit, center: options.center, zoom: options.zoom },
-          zones: state.zones
+          meta: { ...(Number.isFinite(options.limit) ? { limit: options.limit } : {}), center: options.center, zoom: options.zoom },
+          zones: publicZones(state.zones)
         };
-        downloadJson(`zones_${new Date().toISOString().slice(0,19).replace(/[:T]/g,"-")}.json`, payload);
-      });
+      }
 
-      fileImport.addEventListener("change", async (e) => {
-        if (state.mode !== "edit") { e.target.value = ""; return; }
-        const file = e.target.files?.[0];
-        e.target.value = "";
-        if (!file) return;
+      // download in `format` (default: the one picked in the selector)
+      function exportFile(format = formatSelect.value) {
+        if (state.mode !== "edit" || !can("canExport")) return;
+        if (!core.FORMATS[format]) format = "json";
+        const { ext, mime } = core.FORMATS[format];
+        downloadFile(`zones_${new Date().toISOString().slice(0,19).replace(/[:T]/g,"-")}.${ext}`, core.serializeZones(exportPayload(), format), mime);
+      }
+
+      btnExport.addEventListener("click", () => exportFile());
+
+      // ==== Modal dialogs over the widget (one at a time): Escape/backdrop close, Tab stays inside,
+      // focus returns to the control that opened it
+      let dialog = null; // { el, render, opener }
+
+      function openDialog(render) {
+        closeDialog();
+        const el = document.createElement("div");
+        el.className = "zw-dialog-backdrop";
+        root.appendChild(el);
+        dialog = { el, render: () => render(el), opener: document.activeElement };
+
+        el.addEventListener("click", (e) => { if (e.target === el) closeDialog(); });
+        el.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") {
+            e.stopPropagation();
+            closeDialog();
+          } else if (e.key === "Tab") {
+            const items = Array.from(el.querySelectorAll("button, input, textarea, select")).filter(n => !n.disabled);
+            const edge = e.shiftKey ? items[0] : items[items.length - 1];
+            if (items.length && e.target === edge) {
+              e.preventDefault();
+              (e.shiftKey ? items[items.length - 1] : items[0]).focus();
+            }
+          }
+        });
+
+        dialog.render();
+        const first = dialog && el.querySelector("[data-autofocus]");
+        if (first) first.focus();
+        return el;
+      }
+
+      function closeDialog() {
+        if (!dialog) return;
+        const { el, opener } = dialog;
+        dialog = null;
+        el.remove();
+        if (opener && opener.focus && root.contains(opener)) opener.focus();
+      }
+
+      // ==== Polygon from typed coordinates: the keyboard alternative to drawing
+      function openCoordsDialog() {
+        if (!canStartZone()) return;
+        let text = "";
+        let problem = "";
+
+        const el = openDialog((box) => {
+          box.innerHTML = `
+            <form class="zw-dialog" role="dialog" aria-modal="true" aria-labelledby="${uid}_dialogTitle">
+              <div class="zw-dialog-title" id="${uid}_dialogTitle">${escapeHtml(t("coords.title"))}</div>
+              <label class="zw-coords-label" for="${uid}_coords">${escapeHtml(t("coords.label"))}</label>
+              <textarea class="zw-input zw-coords-input" id="${uid}_coords" rows="6" spellcheck="false" aria-describedby="${uid}_coordsHelp ${uid}_coordsError" placeholder="${escapeHtml(t("coords.placeholder"))}" data-autofocus>${escapeHtml(text)}</textarea>
+              <div class="zw-dialog-sub" id="${uid}_coordsHelp">${escapeHtml(t("coords.help"))}</div>
+              <div class="zw-coords-error" id="${uid}_coordsError" role="alert">${escapeHtml(problem)}</div>
+              <div class="zw-dialog-actions">
+                <button class="zw-btn" type="submit">${escapeHtml(t("coords.add"))}</button>
+                <button class="zw-btn" type="button" data-coords-cancel>${escapeHtml(t("coords.cancel"))}</button>
+              </div>
+            </form>`;
+        });
+
+        const fail = (message) => {
+          problem = message;
+          el.querySelector(".zw-coords-error").textContent = message;
+          el.querySelector("textarea").setAttribute("aria-invalid", "true");
+          el.querySelector("textarea").focus();
+        };
+
+        el.addEventListener("input", (e) => { text = e.target.value; });
+        el.addEventListener("click", (e) => { if (e.target.closest("[data-coords-cancel]")) closeDialog(); });
+        el.addEventListener("submit", (e) => {
+          e.preventDefault();
+          const parsed = parseVertices(text);
+          if (parsed.line) return fail(t("coords.line", { line: parsed.line, text: parsed.text }));
+          if (parsed.ring.length < 4) return fail(t("coords.few"));
+          if (!canStartZone()) {
+            closeDialog();
+            return;
+          }
+          const geo = snapped({ type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: [parsed.ring] } });
+          const check = createZone(geo, null);
+          if (check.errors.length) return fail(`${t("createRejected")} ${check.errors.map(issueText).join("; ")}`);
+          closeDialog();
+          focusCard(state.zones.length - 1);
+        });
+      }
+
+      btnCoords.addEventListener("click", openCoordsDialog);
+
+      // ==== Import dialog: mode (replace / append / merge by id), preview, which new zones fit the limit
 
+      // one undoable "import"; hint lists skipped (errors, limit) and flagged zones
+      function applyImport(plan, keep) {
+        if (!can("canImport")) return;
+        const result = core.resolveImport(plan, keep);
+        const affected = (plan.mode === "replace") ? result.zones : result.added.concat(plan.updated);
+        if (plan.mode !== "replace" && !affected.length) {
+          setHint(`<div>${escapeHtml(t("importDialog.nothing"))}</div> ${attributionHtml()}`, !!plan.errors.length, true);
+          return;
+        }
+        record();
+        const countBefore = state.zones.length;
+        state.zones = result.zones;
+        metaEditId = null;
+        applyMode();
+        if (affected[0]) focusZone(affected[0]);
+        let summary = t("importDone", { count: state.zones.length, limit: options.limit });
+        if (result.skipped.length) summary += ` ${t("importOverLimit", { n: result.skipped.length })}`;
+        if (plan.errors.length) setHint(issuesHtml(`${summary} ${t("importSkipped", { n: plan.errors.length })}`, plan.errors, "errors"), true, true);
+        else if (plan.warnings.length) setHint(issuesHtml(`${summary} ${t("importWarnings")}`, plan.warnings, "warnings"), !!result.skipped.length, true);
+        else setHint(`<div>${summary}</div> ${attributionHtml()}`, !!result.skipped.length, true);
+        notifyChange("import", affected, countBefore);
+      }
+
+      function openImportDialog(payload, fileName, firstPlan) {
+        const plans = { [firstPlan.mode]: firstPlan };
+        const keep = {}; // mode -> Set of added ids; preset to the ones that fit
+        let mode = firstPlan.mode;
+
+        const planFor = (m) => plans[m] || (plans[m] = core.planImport(state.zones, payload, { mode: m, limit: options.limit, keepLocked: true, ...importOptions() }));
+        const keepFor = (m) => keep[m] || (keep[m] = new Set(core.resolveImport(planFor(m)).added.map(z => z.id)));
+
+        function syncSelection(el) {
+          const plan = planFor(mode);
+          const n = keepFor(mode).size;
+          const counter = el.querySelector("[data-import-selected]");
+          if (counter) {
+            counter.textContent = t("importDialog.selected", { n, free: plan.free });
+            counter.classList.toggle("warn", n > plan.free);
+          }
+          el.querySelector('[data-import-action="apply"]').disabled = n > plan.free;
+        }
+
+        function render(el) {
+          let plan;
+          try {
+            plan = planFor(mode);
+          } catch (err) {
+            closeDialog();
+            setHint(escapeHtml(t("importError", { message: errorText(err) })), true, true);
+            return;
+          }
+          const radios = core.IMPORT_MODES.map(m => `
+            <label><input type="radio" name="zw-import-mode" value="${m}"${m === mode ? " checked" : ""}> ${escapeHtml(t(`importDialog.${m}`))}</label>`).join("");
+          el.innerHTML = `
+            <div class="zw-dialog" role="dialog" aria-modal="true" aria-labelledby="${uid}_dialogTitle">
+              <div class="zw-dialog-title" id="${uid}_dialogTitle">${escapeHtml(t("importDialog.title"))}${fileName ? ` <span class="zw-dialog-file">${escapeHtml(fileName)}</span>` : ""}</div>
+              <div class="zw-dialog-sub">${escapeHtml(t("importDialog.current", { n: state.zones.length, limit: options.limit }))}</div>
+              <div class="zw-import-modes">${radios}</div>
+              <div class="zw-import-preview" aria-live="polite">${importPreviewHtml(plan, keepFor(mode), { limit: options.limit, t, issueText })}</div>
+              <div class="zw-dialog-actions">
+                <button class="zw-btn" type="button" data-import-action="apply" data-autofocus>${escapeHtml(t("importDialog.apply"))}</button>
+                <button class="zw-btn" type="button" data-import-action="cancel">${escapeHtml(t("importDialog.cancel"))}</button>
+              </div>
+            </div>`;
+          syncSelection(el);
+        }
+
+        const el = openDialog(render);
+
+        el.addEventListener("change", (e) => {
+          if (e.target.name === "zw-import-mode") {
+            mode = e.target.value;
+            render(el);
+            const checked = el.querySelector('[name="zw-import-mode"]:checked');
+            if (checked) checked.focus();
+          } else if (e.target.hasAttribute("data-import-keep")) {
+            const ids = keepFor(mode);
+            if (e.target.checked) ids.add(e.target.value);
+            else ids.delete(e.target.value);
+            syncSelection(el);
+          }
+        });
+
+        el.addEventListener("click", (e) => {
+          const btn = e.target.closest("[data-import-action]");
+          if (!btn || btn.disabled) return;
+          if (btn.getAttribute("data-import-action") === "cancel") {
+            closeDialog();
+            return;
+          }
+          const plan = planFor(mode);
+          const ids = keepFor(mode);
+          closeDialog();
+          applyImport(plan, plan.added.filter(z => ids.has(z.id)).map(z => z.id));
+        });
+      }
+
+      // a File/Blob as if picked with the Import button (dialog included)
+      async function importFile(file) {
+        if (state.mode !== "edit" || !can("canImport") || !file) return;
         try {
+          // the format is detected from the content, whatever the selector says
           const text = await file.text();
-          const json = JSON.parse(text);
-          const imported = normalizeImport(json, options.limit);
-
-          state.zones = imported;
-          applyMode();
-          if (state.zones[0]) focusZone(state.zones[0]);
-          setHint(`<div>Импорт выполнен. Загружено: <b>${state.zones.length}</b> / ${options.limit}.</div> <div class="leaflet-control-attribution-show">Leaflet | © OpenStreetMap contributors | A01L</div>`, false);
+          const payload = core.parseZones(text);
+          const mode = core.IMPORT_MODES.includes(options.importMode) ? options.importMode : "replace";
+          const plan = core.planImport(state.zones, payload, { mode, limit: options.limit, keepLocked: true, ...importOptions() });
+          // nothing to decide on an empty widget when everything fits
+          if (!state.zones.length && plan.added.length <= plan.free) applyImport(plan);
+          else openImportDialog(payload, file.name, plan);
         } catch (err) {
-          setHint(`Ошибка импорта: ${String(err.message || err)}`, true);
+          setHint(escapeHtml(t("importError", { message: errorText(err) })), true, true);
         }
+      }
+
+      fileImport.addEventListener("change", (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        importFile(file);
       });
 
+      // locked zones stay
       btnClearAll.addEventListener("click", () => {
-        if (state.mode !== "edit") return;
-        state.zones = [];
+        if (state.mode !== "edit" || !can("canDelete")) return;
+        const removed = state.zones.filter(z => !z.locked);
+        if (removed.length) record();
+        state.zones = state.zones.filter(z => z.locked);
+        metaEditId = null;
         applyMode();
+        if (removed.length) notifyChange("clear", removed);
+      });
+
+      btnUndo.addEventListener("click", undo);
+      btnRedo.addEventListener("click", redo);
+
+      // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) while focus is inside this widget, except in text fields
+      root.addEventListener("keydown", (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+        const key = e.key.toLowerCase();
+        const done = (key === "z" && !e.shiftKey) ? undo()
+          : ((key === "z" && e.shiftKey) || key === "y") ? redo()
+            : null;
+        if (done !== null) e.preventDefault();
       });
 
+      function setMode(newMode) {
+        const mode = (newMode === "view") ? "view" : "edit";
+        const changed = mode !== state.mode;
+        state.mode = mode;
+        if (mode !== "edit") closeDialog();
+        applyMode();
+        if (changed) emit("modechange", { mode, state: snapshot() });
+      }
+
       // ==== 5) test mode toggle
       btnToggleMode.addEventListener("click", () => {
-        state.mode = (state.mode === "edit") ? "view" : "edit";
-        applyMode();
+        if (!can("canToggleMode")) return;
+        setMode((state.mode === "edit") ? "view" : "edit");
       });
 
+      // ==== Persistence: load once on mount, save (debounced, serialized) on every change
+      const storage = options.storage;
+      let saveTimer = null;
+      let saving = Promise.resolve();
+      let loading = !!storage;
+
+      function saveNow() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        const payload = exportPayload();
+        saving = saving.then(async () => {
+          setStatus(t("saving"));
+          try {
+            await storage.save(payload);
+            setStatus(t("saved", { time: fmtTime(Date.now()) }));
+          } catch (err) {
+            setStatus(t("saveError", { message: errorText(err) }), true);
+          }
+        });
+        return saving;
+      }
+
+      if (storage) {
+        if (typeof storage.load !== "function" || typeof storage.save !== "function") {
+          throw new Error("ZoneWidget: storage must implement load() and save(payload)");
+        }
+        on("change", () => {
+          if (loading) return;
+          clearTimeout(saveTimer);
+          saveTimer = setTimeout(saveNow, options.saveDelay);
+        });
+      }
+
       // ==== Init
       applyMode();
 
+      if (storage) {
+        setStatus(t("loading"));
+        btnToggleMode.disabled = true;
+        try {
+          const payload = await storage.load();
+          if (payload) {
+            state.zones = core.resolveImport(core.planImport([], payload, { limit: options.limit, ...importOptions() })).zones;
+            resetHistory();
+          }
+          setStatus(payload ? t("loaded") : "");
+        } catch (err) {
+          setStatus(t("loadError", { message: errorText(err) }), true);
+        }
+        loading = false;
+        btnToggleMode.disabled = false;
+        state.mode = options.mode;
+        applyMode();
+      }
+
+      // switch UI language at runtime: built-in/registered locale name, optional partial overrides
+      function setLocale(locale, messages) {
+        options.locale = locale;
+        if (messages !== undefined) options.messages = messages;
+        i18n = resolveMessages(options.locale, options.messages);
+        translateStatic();
+        applyMode();
+        if (dialog) dialog.render();
+      }
+
       // ==== Public API for host apps
-      return {
-        setMode(newMode) {
-          state.mode = (newMode === "view") ? "view" : "edit";
+      const api = {
+        setMode,
+        setLocale,
+        setTheme,
+        importFile,
+        exportFile,
+        // mode "replace" | "append" | "merge" (by id), as in the import dialog; `keep` - ids of added zones to take
+        // when they do not all fit the limit (default: file order). Returns the validation report
+        // { errors, warnings } per skipped/flagged zone and what happened: { added, updated, removed, skipped }
+        setZones(zonesPayload, { mode = "replace", keep } = {}) {
+          const plan = core.planImport(state.zones, zonesPayload, { mode, limit: options.limit, ...importOptions() });
+          const result = core.resolveImport(plan, keep);
+          closeDialog();
+          const countBefore = state.zones.length;
+          state.zones = result.zones;
+          metaEditId = null;
+          resetHistory();
           applyMode();
+          notifyChange("set", (mode === "replace") ? state.zones : result.added.concat(plan.updated), countBefore);
+          return {
+            errors: plan.errors,
+            warnings: plan.warnings,
+            added: publicZones(result.added),
+            updated: publicZones(plan.updated),
+            removed: publicZones(plan.removed),
+            skipped: publicZones(result.skipped)
+          };
         },
-        setZones(zonesPayload) {
-          state.zones = normalizeImport(zonesPayload, options.limit);
+        getZones() {
+          return publicZones(state.zones);
+        },
+        // partial { canCreate, canDelete, canEditGeometry, canEditMeta, canImport, canExport, canToggleMode }
+        setPermissions(partial) {
+          Object.assign(permissions, partial || {});
+          if (!can("canEditMeta")) metaEditId = null;
           applyMode();
         },
-        getZones() {
-          return JSON.parse(JSON.stringify(state.zones));
+        getPermissions() {
+          return { ...permissions };
+        },
+        // locked zones are read-only in edit mode (no reshape, metadata, delete, merge import)
+        setLocked(id, locked = true) {
+          const zone = state.zones.find(z => z.id === id);
+          if (!zone || !!zone.locked === !!locked) return false;
+          if (locked) {
+            zone.locked = true;
+            // undo must not bring back an older version of a locked zone
+            resetHistory();
+          } else {
+            delete zone.locked;
+            undoStack.concat(redoStack).forEach((snap) => snap.forEach((z) => { if (z.id === id) delete z.locked; }));
+          }
+          if (metaEditId === id) metaEditId = null;
+          applyMode();
+          notifyChange("lock", [zone]);
+          return true;
         },
-        focus(id) { focusZoneById(id); }
+        focus(id) { focusZoneById(id); },
+        // "lat, lng" or an address (geocoder from option `search`) -> [{ label, latlng, bounds? }]
+        search,
+        // center on [lat, lng] or a search result; { startZone: true } also starts drawing a polygon there
+        goTo,
+        // zones containing the point ([lat, lng] or {lat, lng}), border included
+        findZonesAt(latlng) {
+          return publicZones(core.findZonesAt(state.zones, latlng));
+        },
+        contains(id, latlng) {
+          const zone = state.zones.find(z => z.id === id);
+          return !!zone && core.zoneContains(zone, latlng);
+        },
+        on,
+        off,
+        undo,
+        redo,
+        canUndo: () => canStep(undoStack),
+        canRedo: () => canStep(redoStack),
+        // flush pending changes to options.storage right away
+        save() {
+          return storage ? saveNow() : Promise.resolve();
+        },
+        // zone outline for host tables/e-mails: SVG string (format "svg") or PNG data URL (format "png")
+        getThumbnail(id, { format = "svg", ...opts } = {}) {
+          const zone = state.zones.find(z => z.id === id);
+          if (!zone) return null;
+          const o = { width: 200, height: 150, ...opts };
+          if (format === "svg") return core.zoneThumbnailSVG(zone, o);
+          if (format !== "png") throw new Error(`ZoneWidget: unknown thumbnail format "${format}"`);
+          const canvas = document.createElement("canvas");
+          canvas.width = o.width;
+          canvas.height = o.height;
+          const ctx = canvas.getContext && canvas.getContext("2d");
+          if (!ctx) throw new Error("ZoneWidget: canvas is not supported here");
+          core.drawZoneThumbnail(ctx, zone, o);
+          return canvas.toDataURL("image/png");
+        },
+        // release the main map, mini maps, listeners and DOM; a pending debounced save is dropped (api.save() first to keep it)
+        destroy() {
+          if (destroyed) return;
+          destroyed = true;
+          clearTimeout(saveTimer);
+          saveTimer = null;
+          if (lazyMinis) lazyMinis.disconnect();
+          if (searchAbort) searchAbort.abort();
+          slotCleanups.forEach((fn) => {
+            try { fn(); } catch (err) { console.error("ZoneWidget: slot cleanup failed", err); }
+          });
+          minis.forEach((entry) => { if (entry.map) entry.map.remove(); });
+          minis.clear();
+          map.remove();
+          Object.keys(listeners).forEach((type) => { delete listeners[type]; });
+          el.innerHTML = "";
+        }
       };
+
+      // host-rendered parts get the API, so they can drive the widget (setMode, undo, importFile, ...)
+      ["toolbar", "grid", "footer"].forEach((name) => {
+        if (typeof options[name] !== "function") return;
+        try {
+          const cleanup = options[name](slots[name], api);
+          if (typeof cleanup === "function") slotCleanups.push(cleanup);
+        } catch (err) {
+          console.error(`ZoneWidget: "${name}" slot failed`, err);
+        }
+      });
+
+      return api;
     }
   };
 
@@ -326,68 +1632,691 @@
   function buildHTML(uid, height) {
     return `
       <div id="${uid}_root" class="zw-root">
-        <div class="zw-map-wrap">
-          <div class="zw-topbar">
-            <div class="zw-title">Зоны на карте</div>
+        <div class="zw-map-wrap" data-zw-part="map">
+          <div class="zw-topbar" data-zw-part="toolbar">
+            <div class="zw-title" data-zw-item="title" data-i18n="title"></div>
 
             <div class="zw-actions" id="${uid}_editActions">
-              <button class="zw-btn" id="${uid}_btnExport" type="button">Export JSON</button>
-              <label class="zw-btn zw-btn-file" title="Импорт JSON">
-                Import JSON
-                <input id="${uid}_fileImport" type="file" accept="application/json" hidden>
+              <select class="zw-btn zw-select" id="${uid}_format" data-zw-item="format" data-i18n-title="exportFormat">
+                <option value="json">ZoneWidget JSON</option>
+                <option value="geojson">GeoJSON</option>
+                <option value="kml">KML</option>
+                <option value="gpx">GPX</option>
+              </select>
+              <button class="zw-btn" id="${uid}_btnExport" type="button" data-zw-item="export" data-i18n="export"></button>
+              <label class="zw-btn zw-btn-file" data-zw-item="import" data-i18n-title="importTitle">
+                <span data-i18n="import"></span>
+                <input id="${uid}_fileImport" type="file" accept=".json,.geojson,.kml,.gpx,application/json,application/geo+json,application/vnd.google-earth.kml+xml,application/gpx+xml" hidden>
               </label>
-              <button class="zw-btn" id="${uid}_btnClearAll" type="button">Очистить всё</button>
+              <button class="zw-btn" id="${uid}_btnCoords" type="button" data-zw-item="coords" data-i18n="coords.button" data-i18n-title="coords.buttonTitle"></button>
+              <button class="zw-btn" id="${uid}_btnUndo" type="button" data-zw-item="undo" data-i18n-title="undo" data-i18n-label="undo" disabled>↶</button>
+              <button class="zw-btn" id="${uid}_btnRedo" type="button" data-zw-item="redo" data-i18n-title="redo" data-i18n-label="redo" disabled>↷</button>
+              <button class="zw-btn" id="${uid}_btnClearAll" type="button" data-zw-item="clear" data-i18n="clearAll"></button>
             </div>
 
             <div class="zw-actions" id="${uid}_viewActions" style="display:none;">
-              <span class="zw-chip">View mode</span>
+              <span class="zw-chip" data-i18n="viewChip"></span>
             </div>
           </div>
 
           <div id="${uid}_map" class="zw-map" style="height:${height}px;"></div>
-          <div class="zw-hint" id="${uid}_hint"></div>
+          <div class="zw-hintbar">
+            <div class="zw-hint" id="${uid}_hint"></div>
+            <div class="zw-status" id="${uid}_status" role="status" hidden></div>
+          </div>
+          <div class="zw-sr" id="${uid}_live" aria-live="polite" aria-atomic="true"></div>
         </div>
 
-        <div class="zw-grid-wrap">
-          <div class="zw-grid-title">Сохранённые зоны</div>
-          <div id="${uid}_grid" class="zw-grid"></div>
+        <div class="zw-grid-wrap" data-zw-part="grid">
+          <div class="zw-grid-title" id="${uid}_gridTitle" data-i18n="gridTitle"></div>
+          <div class="zw-sr" id="${uid}_gridHelp" data-i18n="a11y.gridHelp"></div>
+          <div id="${uid}_grid" class="zw-grid" role="list" tabindex="-1" aria-labelledby="${uid}_gridTitle" aria-describedby="${uid}_gridHelp"></div>
         </div>
 
-        <div class="zw-footer">
-          <button class="zw-btn zw-btn-wide" id="${uid}_btnToggleMode" type="button">
-            Переключить режим (edit/view)
-          </button>
+        <div class="zw-footer" data-zw-part="footer">
+          <button class="zw-btn zw-btn-wide" id="${uid}_btnToggleMode" type="button" data-i18n="toggleMode"></button>
         </div>
       </div>
     `;
   }
 
-  function normalizeImport(payload, limit) {
-    const raw = Array.isArray(payload) ? payload : payload?.zones;
-    if (!Array.isArray(raw)) throw new Error("Неверный формат: ожидался массив zones или {zones:[]}");
-    return raw.slice(0, limit).map((z) => {
-      if (!z?.geojson) throw new Error("В записи нет geojson");
-      return {
-        id: z.id || ("z_" + Math.random().toString(16).slice(2) + "_" + Date.now().toString(16)),
-        createdAt: Number(z.createdAt) || Date.now(),
-        geojson: z.geojson,
-        center: Array.isArray(z.center) ? z.center : null,
-        zoom: Number(z.zoom) || 14
-      };
-    }).map((z) => {
-      // if center missing, try infer from bounds (when Leaflet available)
-      if (z.center) return z;
-      try {
-        const b = L.geoJSON(z.geojson).getBounds();
-        if (b && b.isValid()) z.center = [b.getCenter().lat, b.getCenter().lng];
-      } catch {}
-      if (!z.center) z.center = [43.238949, 76.889709];
-      return z;
+  // ============ Localization
+  // UI strings with {param} placeholders; `issues` / `errors` translate zw-core codes (ru uses core messages as is);
+  // `draw` is merged into L.drawLocal. Missing keys fall back to ru. Register more: ZoneWidget.locales.xx = {...}
+  const LOCALES = {
+    ru: {
+      title: "Зоны на карте",
+      exportFormat: "Формат экспорта",
+      export: "Экспорт",
+      import: "Импорт",
+      importTitle: "Импорт JSON / GeoJSON / KML / GPX",
+      undo: "Отменить (Ctrl+Z)",
+      redo: "Повторить (Ctrl+Shift+Z)",
+      clearAll: "Очистить всё",
+      viewChip: "Режим просмотра",
+      gridTitle: "Сохранённые зоны",
+      toggleMode: "Переключить режим (правка/просмотр)",
+      empty: "Пока пусто. Импортируйте JSON или создайте зону (в режиме правки).",
+      cardTitle: "Нажмите чтобы сфокусироваться на зоне",
+      metaButton: "Свойства зоны",
+      deleteButton: "Удалить",
+      dateTitle: "Дата",
+      statsTitle: "Площадь · периметр · вершины",
+      vertices: "{n} верш.",
+      hintLimit: "Лимит зон достигнут! Максимум: <b>{limit}</b>. Удалите не нужную зону, чтобы добавить новую.",
+      hintDraw: "Нарисуйте зону инструментом на панели карты. Лимит: <b>{limit}</b>.",
+      hintView: "Режим просмотра: перемещайте карту, масштабируйте, кликайте по мини-картам для фокуса.",
+      hintNoCreate: "Создание новых зон недоступно. Можно изменять существующие зоны, кроме заблокированных.",
+      locked: "Зона заблокирована",
+      zone: "Зона",
+      zoneN: "Зона {n}",
+      more: "…и ещё {n}",
+      createRejected: "Зона не добавлена:",
+      createWarned: "Зона добавлена с замечаниями:",
+      editRejected: "Изменения отклонены:",
+      editWarned: "Изменения сохранены с замечаниями:",
+      error: "Ошибка: {message}",
+      importDone: "Импорт выполнен. Загружено: <b>{count}</b> / {limit}.",
+      importSkipped: "Пропущено с ошибками: <b>{n}</b>",
+      importOverLimit: "Не вошло в лимит: <b>{n}</b>.",
+      importWarnings: "Замечания:",
+      importError: "Ошибка импорта: {message}",
+      saving: "Сохранение…",
+      saved: "Сохранено {time}",
+      saveError: "Ошибка сохранения: {message}",
+      loading: "Загрузка…",
+      loaded: "Загружено из хранилища",
+      loadError: "Ошибка загрузки: {message}",
+      meta: {
+        name: "Название",
+        color: "Цвет",
+        description: "Описание",
+        properties: "Свойства",
+        placeholder: "ключ=значение",
+        save: "Сохранить",
+        cancel: "Отмена",
+        propertyLine: "свойство в строке {line}: ожидалось ключ=значение"
+      },
+      search: {
+        placeholder: "Адрес или «широта, долгота»",
+        title: "Поиск места на карте",
+        button: "Найти",
+        searching: "Поиск…",
+        noResults: "Ничего не найдено",
+        error: "Ошибка поиска: {message}",
+        startZone: "Начать зону здесь"
+      },
+      importDialog: {
+        title: "Импорт зон",
+        current: "Сейчас зон: {n} из {limit}.",
+        replace: "Заменить все зоны",
+        append: "Добавить к текущим",
+        merge: "Объединить по id",
+        removed: "Будут удалены ({n}):",
+        updated: "Будут обновлены ({n}):",
+        added: "Будут добавлены ({n}):",
+        unchanged: "Без изменений: {n}",
+        invalid: "Пропущены с ошибками ({n}):",
+        limit: "Лимит зон — {limit}: свободных мест {free}, новых зон {n}. Отметьте, какие добавить, остальные будут пропущены.",
+        selected: "Выбрано {n} из {free}",
+        nothing: "Импорт ничего не меняет.",
+        apply: "Импортировать",
+        cancel: "Отмена"
+      },
+      coords: {
+        button: "Координаты",
+        buttonTitle: "Новая зона: ввести вершины с клавиатуры",
+        title: "Новая зона по координатам",
+        label: "Вершины полигона, по одной на строку",
+        placeholder: "43.2389, 76.8897\n43.2450, 76.9012\n43.2301, 76.9050",
+        help: "Широта, долгота (или 43.2389° N, 76.8897° E). Минимум 3 вершины, полигон замыкается автоматически.",
+        add: "Добавить зону",
+        cancel: "Отмена",
+        line: "Строка {line}: не удалось прочитать координаты «{text}»",
+        few: "Нужно минимум 3 разные вершины."
+      },
+      a11y: {
+        gridHelp: "Стрелки - переход между зонами, Enter - показать на карте, Delete - удалить, F2 - свойства (в режиме правки).",
+        meta: "Свойства зоны {name}",
+        delete: "Удалить зону {name}",
+        created: "Зона {name} добавлена.",
+        deleted: "Зона {name} удалена."
+      },
+      dateFormat: "DD.MM.YYYY HH:mm",
+      numberLocale: "ru-RU",
+      units: { m2: "м²", ha: "га", km2: "км²", m: "м", km: "км" },
+      draw: {
+        draw: {
+          toolbar: {
+            actions: { title: "Отменить рисование", text: "Отмена" },
+            finish: { title: "Завершить", text: "Готово" },
+            undo: { title: "Удалить последнюю точку", text: "Назад" },
+            buttons: { polygon: "Нарисовать область", rectangle: "Выделить прямоугольником", circle: "Круг (радиус доставки)", polyline: "Коридор (линия с отступом)" }
+          },
+          handlers: {
+            polygon: { tooltip: { start: "Начните рисовать область", cont: "Продолжайте рисовать", end: "Нажмите первую точку для завершения" } },
+            polyline: {
+              error: "Контур пересекается сам с собой!",
+              tooltip: { start: "Начните рисовать линию коридора", cont: "Продолжайте рисовать линию", end: "Нажмите последнюю точку для завершения" }
+            },
+            circle: { tooltip: { start: "Зажмите в центре и тяните до нужного радиуса" }, radius: "Радиус" },
+            rectangle: { tooltip: { start: "Зажмите и выделите область" } },
+            simpleshape: { tooltip: { end: "Отпустите кнопку мыши для завершения" } }
+          }
+        },
+        edit: {
+          toolbar: {
+            actions: {
+              save: { title: "Сохранить изменения", text: "Сохранить" },
+              cancel: { title: "Отменить изменения", text: "Отмена" },
+              clearAll: { title: "Удалить всё", text: "Удалить всё" }
+            },
+            buttons: { edit: "Редактировать зоны", editDisabled: "Нет зон", remove: "Удалить зоны", removeDisabled: "Нет зон" }
+          },
+          handlers: {
+            edit: { tooltip: { text: "Перетаскивайте точки для изменения", subtext: "Нажмите отмену чтобы откатить" } },
+            remove: { tooltip: { text: "Нажмите на зону чтобы удалить" } }
+          }
+        }
+      }
+    },
+
+    en: {
+      title: "Zones on the map",
+      exportFormat: "Export format",
+      export: "Export",
+      import: "Import",
+      importTitle: "Import JSON / GeoJSON / KML / GPX",
+      undo: "Undo (Ctrl+Z)",
+      redo: "Redo (Ctrl+Shift+Z)",
+      clearAll: "Clear all",
+      viewChip: "View mode",
+      gridTitle: "Saved zones",
+      toggleMode: "Switch mode (edit/view)",
+      empty: "Nothing here yet. Import a file or draw a zone (in edit mode).",
+      cardTitle: "Click to focus the zone",
+      metaButton: "Zone properties",
+      deleteButton: "Delete",
+      dateTitle: "Date",
+      statsTitle: "Area · perimeter · vertices",
+      vertices: "{n} vert.",
+      hintLimit: "Zone limit reached! Maximum: <b>{limit}</b>. Delete a zone you no longer need to add a new one.",
+      hintDraw: "Draw a zone with a tool from the map toolbar. Limit: <b>{limit}</b>.",
+      hintView: "View mode: pan and zoom the map, click a mini map to focus its zone.",
+      hintNoCreate: "Creating new zones is not allowed. Existing zones can be changed, except locked ones.",
+      locked: "Zone is locked",
+      zone: "Zone",
+      zoneN: "Zone {n}",
+      more: "…and {n} more",
+      createRejected: "Zone not added:",
+      createWarned: "Zone added with warnings:",
+      editRejected: "Changes rejected:",
+      editWarned: "Changes saved with warnings:",
+      error: "Error: {message}",
+      importDone: "Import finished. Loaded: <b>{count}</b> / {limit}.",
+      importSkipped: "Skipped with errors: <b>{n}</b>",
+      importOverLimit: "Over the limit: <b>{n}</b>.",
+      importWarnings: "Warnings:",
+      importError: "Import failed: {message}",
+      saving: "Saving…",
+      saved: "Saved {time}",
+      saveError: "Save failed: {message}",
+      loading: "Loading…",
+      loaded: "Loaded from storage",
+      loadError: "Load failed: {message}",
+      meta: {
+        name: "Name",
+        color: "Color",
+        description: "Description",
+        properties: "Properties",
+        placeholder: "key=value",
+        save: "Save",
+        cancel: "Cancel",
+        propertyLine: "property on line {line}: expected key=value"
+      },
+      search: {
+        placeholder: "Address or \"lat, lng\"",
+        title: "Find a place on the map",
+        button: "Search",
+        searching: "Searching…",
+        noResults: "Nothing found",
+        error: "Search failed: {message}",
+        startZone: "Start zone here"
+      },
+      importDialog: {
+        title: "Import zones",
+        current: "Zones now: {n} of {limit}.",
+        replace: "Replace all zones",
+        append: "Append to current",
+        merge: "Merge by id",
+        removed: "Will be removed ({n}):",
+        updated: "Will be updated ({n}):",
+        added: "Will be added ({n}):",
+        unchanged: "Unchanged: {n}",
+        invalid: "Skipped with errors ({n}):",
+        limit: "Zone limit is {limit}: {free} free slots for {n} new zones. Check the ones to add, the rest will be skipped.",
+        selected: "Selected {n} of {free}",
+        nothing: "The import changes nothing.",
+        apply: "Import",
+        cancel: "Cancel"
+      },
+      coords: {
+        button: "Coordinates",
+        buttonTitle: "New zone: type the vertices",
+        title: "New zone from coordinates",
+        label: "Polygon vertices, one per line",
+        placeholder: "43.2389, 76.8897\n43.2450, 76.9012\n43.2301, 76.9050",
+        help: "Latitude, longitude (or 43.2389° N, 76.8897° E). At least 3 vertices, the polygon is closed automatically.",
+        add: "Add zone",
+        cancel: "Cancel",
+        line: "Line {line}: cannot read coordinates \"{text}\"",
+        few: "At least 3 distinct vertices are needed."
+      },
+      a11y: {
+        gridHelp: "Arrow keys move between zones, Enter shows the zone on the map, Delete removes it, F2 edits properties (edit mode).",
+        meta: "Properties of zone {name}",
+        delete: "Delete zone {name}",
+        created: "Zone {name} added.",
+        deleted: "Zone {name} deleted."
+      },
+      dateFormat: "MM/DD/YYYY h:mm A",
+      numberLocale: "en-US",
+      units: { m2: "m²", ha: "ha", km2: "km²", m: "m", km: "km" },
+      issues: {
+        missing: "no geojson",
+        empty: "empty polygon coordinates",
+        coordinates: "coordinates must be pairs of numbers [lng, lat]",
+        swapped: "latitude out of range: longitude and latitude look swapped (GeoJSON expects [lng, lat])",
+        range: "coordinates out of range",
+        unclosed: "unclosed ring was closed automatically",
+        "too-few-points": "ring has fewer than three points",
+        "self-intersection": "outline intersects itself",
+        type: "unsupported geometry type: {type} (expected Polygon/MultiPolygon)",
+        "maybe-swapped": "zone is far from the map: longitude and latitude may be swapped",
+        overlap: "overlaps zones: {ids}",
+        covered: "zone lies entirely inside other zones",
+        clipped: "clipped by zones: {ids}",
+        record: "zone record must be an object",
+        locked: "zone {id} is locked"
+      },
+      errors: {
+        envelope: "Invalid format: expected a zones array, {zones:[]} or a FeatureCollection",
+        "unknown-format": "Unknown file format: expected JSON, GeoJSON, KML or GPX",
+        "newer-version": "The file was made by a newer ZoneWidget (format v{version}, this one reads up to v{supported}). Please update the widget.",
+        version: "Invalid format version: {version}"
+      },
+      // Leaflet.Draw's own English strings, so switching back from another locale restores them
+      draw: {
+        draw: {
+          toolbar: {
+            actions: { title: "Cancel drawing", text: "Cancel" },
+            finish: { title: "Finish drawing", text: "Finish" },
+            undo: { title: "Delete last point drawn", text: "Delete last point" },
+            buttons: { polygon: "Draw a polygon", rectangle: "Draw a rectangle", circle: "Draw a circle (delivery radius)", polyline: "Draw a corridor (line with buffer)" }
+          },
+          handlers: {
+            polygon: { tooltip: { start: "Click to start drawing shape.", cont: "Click to continue drawing shape.", end: "Click first point to close this shape." } },
+            polyline: {
+              error: "<strong>Error:</strong> shape edges cannot cross!",
+              tooltip: { start: "Click to start drawing line.", cont: "Click to continue drawing line.", end: "Click last point to finish line." }
+            },
+            circle: { tooltip: { start: "Click and drag to draw circle." }, radius: "Radius" },
+            rectangle: { tooltip: { start: "Click and drag to draw rectangle." } },
+            simpleshape: { tooltip: { end: "Release mouse to finish drawing." } }
+          }
+        },
+        edit: {
+          toolbar: {
+            actions: {
+              save: { title: "Save changes", text: "Save" },
+              cancel: { title: "Cancel editing, discards all changes", text: "Cancel" },
+              clearAll: { title: "Clear all layers", text: "Clear All" }
+            },
+            buttons: { edit: "Edit layers", editDisabled: "No layers to edit", remove: "Delete layers", removeDisabled: "No layers to delete" }
+          },
+          handlers: {
+            edit: { tooltip: { text: "Drag handles or markers to edit features.", subtext: "Click cancel to undo changes." } },
+            remove: { tooltip: { text: "Click on a feature to remove." } }
+          }
+        }
+      }
+    },
+
+    kk: {
+      title: "Картадағы аймақтар",
+      exportFormat: "Экспорт форматы",
+      export: "Экспорт",
+      import: "Импорт",
+      importTitle: "JSON / GeoJSON / KML / GPX импорттау",
+      undo: "Болдырмау (Ctrl+Z)",
+      redo: "Қайталау (Ctrl+Shift+Z)",
+      clearAll: "Барлығын тазалау",
+      viewChip: "Қарау режимі",
+      gridTitle: "Сақталған аймақтар",
+      toggleMode: "Режимді ауыстыру (өңдеу/қарау)",
+      empty: "Әзірге бос. Файлды импорттаңыз немесе аймақ сызыңыз (өңдеу режимінде).",
+      cardTitle: "Аймаққа фокус жасау үшін басыңыз",
+      metaButton: "Аймақ қасиеттері",
+      deleteButton: "Жою",
+      dateTitle: "Күні",
+      statsTitle: "Ауданы · периметрі · төбелері",
+      vertices: "{n} төбе",
+      hintLimit: "Аймақтар лимитіне жеттіңіз! Ең көбі: <b>{limit}</b>. Жаңасын қосу үшін қажет емес аймақты жойыңыз.",
+      hintDraw: "Карта панеліндегі құралмен аймақ сызыңыз. Лимит: <b>{limit}</b>.",
+      hintView: "Қарау режимі: картаны жылжытыңыз, масштабтаңыз, фокус үшін шағын карталарды басыңыз.",
+      hintNoCreate: "Жаңа аймақтар құруға рұқсат жоқ. Құлыпталғандардан басқа бар аймақтарды өзгертуге болады.",
+      locked: "Аймақ құлыпталған",
+      zone: "Аймақ",
+      zoneN: "Аймақ {n}",
+      more: "…және тағы {n}",
+      createRejected: "Аймақ қосылмады:",
+      createWarned: "Аймақ ескертулермен қосылды:",
+      editRejected: "Өзгерістер қабылданбады:",
+      editWarned: "Өзгерістер ескертулермен сақталды:",
+      error: "Қате: {message}",
+      importDone: "Импорт орындалды. Жүктелді: <b>{count}</b> / {limit}.",
+      importSkipped: "Қателермен өткізіліп жіберілді: <b>{n}</b>",
+      importOverLimit: "Лимитке сыймады: <b>{n}</b>.",
+      importWarnings: "Ескертулер:",
+      importError: "Импорт қатесі: {message}",
+      saving: "Сақталуда…",
+      saved: "Сақталды {time}",
+      saveError: "Сақтау қатесі: {message}",
+      loading: "Жүктелуде…",
+      loaded: "Қоймадан жүктелді",
+      loadError: "Жүктеу қатесі: {message}",
+      meta: {
+        name: "Атауы",
+        color: "Түсі",
+        description: "Сипаттамасы",
+        properties: "Қасиеттері",
+        placeholder: "кілт=мән",
+        save: "Сақтау",
+        cancel: "Болдырмау",
+        propertyLine: "{line}-жолдағы қасиет: кілт=мән күтілді"
+      },
+      search: {
+        placeholder: "Мекенжай немесе «ендік, бойлық»",
+        title: "Картадан орын іздеу",
+        button: "Іздеу",
+        searching: "Іздеу…",
+        noResults: "Ештеңе табылмады",
+        error: "Іздеу қатесі: {message}",
+        startZone: "Аймақты осы жерден бастау"
+      },
+      importDialog: {
+        title: "Аймақтарды импорттау",
+        current: "Қазір аймақтар: {n} / {limit}.",
+        replace: "Барлық аймақты ауыстыру",
+        append: "Қазіргілерге қосу",
+        merge: "id бойынша біріктіру",
+        removed: "Жойылады ({n}):",
+        updated: "Жаңартылады ({n}):",
+        added: "Қосылады ({n}):",
+        unchanged: "Өзгеріссіз: {n}",
+        invalid: "Қателермен өткізіліп жіберілді ({n}):",
+        limit: "Аймақ лимиті — {limit}: бос орын {free}, жаңа аймақ {n}. Қосылатындарын белгілеңіз, қалғандары өткізіліп жіберіледі.",
+        selected: "Таңдалды {n} / {free}",
+        nothing: "Импорт ештеңені өзгертпейді.",
+        apply: "Импорттау",
+        cancel: "Болдырмау"
+      },
+      coords: {
+        button: "Координаттар",
+        buttonTitle: "Жаңа аймақ: төбелерді пернетақтадан енгізу",
+        title: "Координаттар бойынша жаңа аймақ",
+        label: "Көпбұрыш төбелері, әр жолға біреуден",
+        placeholder: "43.2389, 76.8897\n43.2450, 76.9012\n43.2301, 76.9050",
+        help: "Ендік, бойлық (немесе 43.2389° N, 76.8897° E). Кемінде 3 төбе, көпбұрыш автоматты түрде тұйықталады.",
+        add: "Аймақ қосу",
+        cancel: "Болдырмау",
+        line: "{line}-жол: «{text}» координаттарын оқу мүмкін болмады",
+        few: "Кемінде 3 әртүрлі төбе қажет."
+      },
+      a11y: {
+        gridHelp: "Бағыт пернелері - аймақтар арасында өту, Enter - картада көрсету, Delete - жою, F2 - қасиеттер (өңдеу режимінде).",
+        meta: "{name} аймағының қасиеттері",
+        delete: "{name} аймағын жою",
+        created: "{name} аймағы қосылды.",
+        deleted: "{name} аймағы жойылды."
+      },
+      dateFormat: "DD.MM.YYYY HH:mm",
+      numberLocale: "kk-KZ",
+      units: { m2: "м²", ha: "га", km2: "км²", m: "м", km: "км" },
+      issues: {
+        missing: "geojson жоқ",
+        empty: "көпбұрыш координаттары бос",
+        coordinates: "координаттар [lng, lat] сандар жұбы болуы керек",
+        swapped: "ендік ауқымнан тыс: бойлық пен ендік ауысып кеткен сияқты (GeoJSON [lng, lat] күтеді)",
+        range: "координаттар рұқсат етілген ауқымнан тыс",
+        unclosed: "тұйықталмаған сақина автоматты түрде тұйықталды",
+        "too-few-points": "сақинада үш нүктеден аз",
+        "self-intersection": "контур өзін-өзі қиып өтеді",
+        type: "геометрияның жарамсыз түрі: {type} (Polygon/MultiPolygon күтілді)",
+        "maybe-swapped": "аймақ картадан алыс: бойлық пен ендік ауысып кетуі мүмкін",
+        overlap: "аймақтармен қиылысады: {ids}",
+        covered: "аймақ толығымен басқа аймақтардың ішінде жатыр",
+        clipped: "аймақтар бойынша кесілді: {ids}",
+        record: "аймақ жазбасы объект болуы керек",
+        locked: "{id} аймағы құлыпталған"
+      },
+      errors: {
+        envelope: "Қате формат: zones массиві, {zones:[]} немесе FeatureCollection күтілді",
+        "unknown-format": "Белгісіз файл форматы: JSON, GeoJSON, KML немесе GPX күтілді",
+        "newer-version": "Файл ZoneWidget-тің жаңа нұсқасында жасалған (v{version} форматы, тек v{supported} дейін оқылады). Виджетті жаңартыңыз.",
+        version: "Формат нұсқасы қате: {version}"
+      },
+      draw: {
+        draw: {
+          toolbar: {
+            actions: { title: "Сызуды болдырмау", text: "Болдырмау" },
+            finish: { title: "Аяқтау", text: "Дайын" },
+            undo: { title: "Соңғы нүктені жою", text: "Артқа" },
+            buttons: { polygon: "Аймақ сызу", rectangle: "Тіктөртбұрышпен белгілеу", circle: "Шеңбер (жеткізу радиусы)", polyline: "Дәліз (шегінісі бар сызық)" }
+          },
+          handlers: {
+            polygon: { tooltip: { start: "Аймақты сыза бастаңыз", cont: "Сызуды жалғастырыңыз", end: "Аяқтау үшін бірінші нүктені басыңыз" } },
+            polyline: {
+              error: "Контур өзін-өзі қиып өтеді!",
+              tooltip: { start: "Дәліз сызығын сыза бастаңыз", cont: "Сызуды жалғастырыңыз", end: "Аяқтау үшін соңғы нүктені басыңыз" }
+            },
+            circle: { tooltip: { start: "Ортасынан басып, қажетті радиусқа дейін тартыңыз" }, radius: "Радиус" },
+            rectangle: { tooltip: { start: "Басып тұрып аймақты белгілеңіз" } },
+            simpleshape: { tooltip: { end: "Аяқтау үшін тінтуір батырмасын жіберіңіз" } }
+          }
+        },
+        edit: {
+          toolbar: {
+            actions: {
+              save: { title: "Өзгерістерді сақтау", text: "Сақтау" },
+              cancel: { title: "Өзгерістерді болдырмау", text: "Болдырмау" },
+              clearAll: { title: "Барлығын жою", text: "Барлығын жою" }
+            },
+            buttons: { edit: "Аймақтарды өңдеу", editDisabled: "Аймақтар жоқ", remove: "Аймақтарды жою", removeDisabled: "Аймақтар жоқ" }
+          },
+          handlers: {
+            edit: { tooltip: { text: "Өзгерту үшін нүктелерді сүйреңіз", subtext: "Кері қайтару үшін болдырмауды басыңыз" } },
+            remove: { tooltip: { text: "Жою үшін аймақты басыңыз" } }
+          }
+        }
+      }
+    }
+  };
+
+  // locale name + partial overrides -> full dictionary
+  function resolveMessages(locale, overrides) {
+    return mergeDeep(mergeDeep(mergeDeep({}, LOCALES.ru), LOCALES[locale] || {}), overrides || {});
+  }
+
+  function mergeDeep(target, src) {
+    Object.keys(src).forEach((k) => {
+      target[k] = isPlainObject(src[k]) ? mergeDeep(isPlainObject(target[k]) ? target[k] : {}, src[k]) : src[k];
     });
+    return target;
+  }
+
+  function translate(dict, key, params) {
+    const raw = key.split(".").reduce((o, k) => (o == null ? o : o[k]), dict);
+    if (typeof raw !== "string") return key;
+    return params ? raw.replace(/\{(\w+)\}/g, (m, k) => (k in params ? params[k] : m)) : raw;
+  }
+
+  // tokens: YYYY MM DD HH (24h) h (12h) mm A (AM/PM)
+  function formatDate(ts, pattern) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    const h = d.getHours();
+    const parts = {
+      YYYY: d.getFullYear(), MM: pad(d.getMonth() + 1), DD: pad(d.getDate()),
+      HH: pad(h), h: (h % 12) || 12, mm: pad(d.getMinutes()), A: h < 12 ? "AM" : "PM"
+    };
+    return pattern.replace(/YYYY|MM|DD|HH|h|mm|A/g, t => parts[t]);
+  }
+
+  // L.drawLocal is global: the widget that last rendered or started drawing sets the language
+  function applyDrawLocale(draw) {
+    if (global.L && global.L.drawLocal && draw) mergeDeep(global.L.drawLocal, draw);
+  }
+
+  // option `search`: true | provider ({ search } or (query, opts) => results) | { provider, position, zoom, limit }
+  function searchConfig(search) {
+    if (!search) return null;
+    const conf = (search === true) ? {}
+      : (typeof search === "function" || typeof search.search === "function") ? { provider: search } : search;
+    let provider = conf.provider || ZoneWidget.geocoders.nominatim();
+    if (typeof provider === "function") provider = { search: provider };
+    return { position: "topright", zoom: 16, limit: 5, ...conf, provider };
+  }
+
+  // overlap policy "clip" cut the geometry: it no longer matches a circle/corridor shape
+  function isClipped(check) {
+    return check.warnings.some(w => w.code === "clipped");
+  }
+
+  function clone(v) {
+    return JSON.parse(JSON.stringify(v));
   }
 
-  function downloadJson(filename, dataObj) {
-    const blob = new Blob([JSON.stringify(dataObj, null, 2)], { type: "application/json;charset=utf-8" });
+  // mount option `permissions` / setPermissions(): everything allowed unless set to false
+  const PERMISSIONS = {
+    canCreate: true,
+    canDelete: true,
+    canEditGeometry: true,
+    canEditMeta: true,
+    canImport: true,
+    canExport: true,
+    canToggleMode: true
+  };
+
+  function isColor(v) {
+    return typeof v === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v);
+  }
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  function zoneStyle(z) {
+    return { color: z.color || global.ZoneWidgetCore.ZONE_COLORS[0], weight: 3, opacity: 1, fillOpacity: 0.15 };
+  }
+
+  function escapeHtml(v) {
+    return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  // Metadata form inside a mini-card; properties are edited as "key=value" lines
+  function buildMetaForm(z, t) {
+    const props = Object.entries(z.properties || {})
+      .map(([k, v]) => `${k}=${(typeof v === "string") ? v : JSON.stringify(v)}`)
+      .join("\n");
+    return `
+      <div class="zw-meta" data-meta-form="${z.id}">
+        <label>${escapeHtml(t("meta.name"))}<input class="zw-input" name="name" type="text" value="${escapeHtml(z.name)}"></label>
+        <label>${escapeHtml(t("meta.color"))}<input class="zw-input" name="color" type="color" value="${escapeHtml(z.color)}"></label>
+        <label>${escapeHtml(t("meta.description"))}<textarea class="zw-input" name="description" rows="2">${escapeHtml(z.description)}</textarea></label>
+        <label>${escapeHtml(t("meta.properties"))}<textarea class="zw-input" name="properties" rows="3" placeholder="${escapeHtml(t("meta.placeholder"))}">${escapeHtml(props)}</textarea></label>
+        <div class="zw-meta-actions">
+          <button class="zw-btn" type="button" data-meta-action="save">${escapeHtml(t("meta.save"))}</button>
+          <button class="zw-btn" type="button" data-meta-action="cancel">${escapeHtml(t("meta.cancel"))}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  function readMetaForm(form, t) {
+    const val = (name) => form.querySelector(`[name="${name}"]`).value;
+    const properties = {};
+    val("properties").split("\n").forEach((line, i) => {
+      if (!line.trim()) return;
+      const eq = line.indexOf("=");
+      if (eq <= 0) throw new Error(t("meta.propertyLine", { line: i + 1 }));
+      const key = line.slice(0, eq).trim();
+      const raw = line.slice(eq + 1).trim();
+      // numbers/booleans/JSON stay typed, anything else is a string
+      try { properties[key] = JSON.parse(raw); } catch { properties[key] = raw; }
+    });
+    const color = val("color");
+    return {
+      name: val("name").trim(),
+      color: isColor(color) ? color : global.ZoneWidgetCore.ZONE_COLORS[0],
+      description: val("description").trim(),
+      properties
+    };
+  }
+
+  // "lat, lng" per line (any format of ZoneWidgetCore.parseLatLng) -> closed GeoJSON ring [[lng, lat], ...];
+  // the first unreadable line is returned as { line, text }
+  function parseVertices(text) {
+    const ring = [];
+    const lines = String(text || "").split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      const latlng = global.ZoneWidgetCore.parseLatLng(line);
+      if (!latlng) return { ring, line: i + 1, text: line };
+      ring.push([latlng[1], latlng[0]]);
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push(first.slice());
+    return { ring };
+  }
+
+  // Import dialog body: what the chosen mode does; checkboxes for added zones when they exceed the free slots
+  function importPreviewHtml(plan, keepIds, { limit, t, issueText }) {
+    const chip = (z) => `<span class="zw-import-swatch" style="background:${escapeHtml(z.color)}"></span>${escapeHtml(z.name || z.id)}`;
+    const list = (items, row = chip) => {
+      const shown = items.slice(0, 8).map(it => `<li>${row(it)}</li>`).join("");
+      const more = items.length > 8 ? `<li>${escapeHtml(t("more", { n: items.length - 8 }))}</li>` : "";
+      return `<ul class="zw-import-list">${shown}${more}</ul>`;
+    };
+    const section = (key, items, body = list(items)) => items.length
+      ? `<div class="zw-import-section" data-import-section="${key}"><b>${escapeHtml(t(`importDialog.${key}`, { n: items.length }))}</b>${body}</div>`
+      : "";
+
+    let added = list(plan.added);
+    if (plan.added.length > plan.free) {
+      const rows = plan.added.map(z => `
+        <li><label><input type="checkbox" data-import-keep value="${escapeHtml(z.id)}"${keepIds.has(z.id) ? " checked" : ""}> ${chip(z)}</label></li>`).join("");
+      added = `
+        <div class="zw-import-limit">${escapeHtml(t("importDialog.limit", { limit, free: plan.free, n: plan.added.length }))}</div>
+        <ul class="zw-import-list zw-import-pick">${rows}</ul>
+        <div class="zw-import-selected" data-import-selected></div>`;
+    }
+    const invalid = list(plan.errors, it => `${escapeHtml(it.id || t("zoneN", { n: it.index + 1 }))}: ${escapeHtml(it.errors.map(issueText).join("; "))}`);
+
+    const html = [
+      section("removed", plan.removed),
+      section("updated", plan.updated),
+      section("added", plan.added, added),
+      section("unchanged", plan.unchanged, ""),
+      section("invalid", plan.errors, invalid)
+    ].join("");
+    return html || `<div class="zw-import-section">${escapeHtml(t("importDialog.nothing"))}</div>`;
+  }
+
+  function downloadFile(filename, text, mime) {
+    const blob = new Blob([text], { type: `${mime};charset=utf-8` });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -398,160 +2327,248 @@
     URL.revokeObjectURL(url);
   }
 
-  // Load Leaflet + Draw from CDN once
-  function ensureLeafletAndDraw() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Leaflet
-        if (!global.L) {
-          await loadCSSOnce("https://unpkg.com/leaflet@1.9.4/dist/leaflet.css", "zw_leaflet_css");
-          await loadScriptOnce("https://unpkg.com/leaflet@1.9.4/dist/leaflet.js", "zw_leaflet_js");
-        }
-        // Draw
-        const hasDraw = global.L && global.L.Control && global.L.Control.Draw;
-        if (!hasDraw) {
-          await loadCSSOnce("https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css", "zw_draw_css");
-          await loadScriptOnce("https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js", "zw_draw_js");
-        }
-        resolve();
-      } catch (e) {
-        reject(e);
-      }
-    });
-  }
-
-  function loadCSSOnce(href, id) {
-    return new Promise((resolve) => {
-      if (document.getElementById(id)) return resolve();
-      const link = document.createElement("link");
-      link.id = id;
-      link.rel = "stylesheet";
-      link.href = href;
-      link.onload = () => resolve();
-      link.onerror = () => resolve(); // мягко
-      document.head.appendChild(link);
-    });
-  }
+  // zw-core.js (shared helpers + Leaflet loader) is expected next to this script unless already included by the page
+  const CORE_SRC = ((document.currentScript && document.currentScript.src) || "").replace(/[^/?#]*([?#].*)?$/, "") + "zw-core.js";
 
-  function loadScriptOnce(src, id) {
+  function ensureCore() {
     return new Promise((resolve, reject) => {
-      if (document.getElementById(id)) return resolve();
-      const s = document.createElement("script");
-      s.id = id;
-      s.src = src;
-      s.async = true;
-      s.onload = () => resolve();
-      s.onerror = () => reject(new Error("Failed to load: " + src));
-      document.head.appendChild(s);
+      if (global.ZoneWidgetCore) return resolve(global.ZoneWidgetCore);
+      let s = document.getElementById("zw_core_js");
+      if (!s) {
+        s = document.createElement("script");
+        s.id = "zw_core_js";
+        s.src = CORE_SRC;
+        s.async = true;
+        document.head.appendChild(s);
+      }
+      s.addEventListener("load", () => resolve(global.ZoneWidgetCore));
+      s.addEventListener("error", () => reject(new Error("ZoneWidget: failed to load " + CORE_SRC)));
     });
   }
 
+  // Dark theme: the same custom properties the light defaults fall back from (see injectCSSOnce)
+  const DARK_THEME = {
+    "--zw-text": "#e6e6e6",
+    "--zw-text-muted": "#a0a4aa",
+    "--zw-bg": "#1e1f22",
+    "--zw-bar": "#26282c",
+    "--zw-surface": "#2d3035",
+    "--zw-surface-hover": "#363a40",
+    "--zw-border": "#3a3d42",
+    "--zw-divider": "#34373c",
+    "--zw-control-border": "#4a4e55",
+    "--zw-map-bg": "#3a3d42",
+    "--zw-accent": "#8ab4f8",
+    "--zw-warn": "#f0b35a",
+    "--zw-danger": "#ff8a80",
+    "--zw-success": "#81c995",
+    "--zw-shadow": "0 6px 24px rgba(0,0,0,.4)",
+    "--zw-card-shadow": "0 6px 18px rgba(0,0,0,.3)",
+    "--zw-backdrop": "rgba(0,0,0,.5)"
+  };
+
+  // Every color/size goes through a --zw-* custom property with the light default as fallback,
+  // so hosts can theme from any ancestor (or via the `theme` option) without fighting specificity
   function injectCSSOnce() {
     if (document.getElementById("zw_base_css")) return;
+    const dark = Object.keys(DARK_THEME).map(k => `${k}:${DARK_THEME[k]};`).join(" ");
+    // Leaflet controls, popups and tooltips follow the dark theme too
+    const darkLeaflet = (theme) => [".leaflet-bar a", ".leaflet-control-layers", ".leaflet-popup-content-wrapper", ".leaflet-popup-tip", ".leaflet-tooltip"]
+      .map(sel => `.zw-root[data-zw-theme="${theme}"] ${sel}`).join(", ") +
+      "{ background:var(--zw-surface); color:var(--zw-text); border-color:var(--zw-border); }";
     const style = document.createElement("style");
     style.id = "zw_base_css";
     style.textContent = `
-      .zw-root{ max-width:980px; margin:0 auto; padding:14px; font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif; }
-      .zw-map-wrap{ background:#efefef; border:1px solid #ddd; border-radius:14px; overflow:hidden; box-shadow:0 6px 24px rgba(0,0,0,.08); }
-      .zw-topbar{ display:flex; align-items:center; justify-content:space-between; gap:10px; padding:10px 12px; background:#f7f7f7; border-bottom:1px solid #e0e0e0; flex-wrap:wrap; }
+      .zw-root{ position:relative; max-width:var(--zw-max-width, 980px); margin:0 auto; padding:var(--zw-padding, 14px); font-family:var(--zw-font, system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif); color:var(--zw-text, inherit); display:flex; flex-direction:column; gap:12px; }
+      .zw-root[data-zw-theme="dark"]{ ${dark} color-scheme:dark; }
+      @media (prefers-color-scheme: dark){ .zw-root[data-zw-theme="auto"]{ ${dark} color-scheme:dark; } }
+      .zw-root [hidden]{ display:none !important; }
+      .zw-map-wrap{ background:var(--zw-bg, #efefef); border:1px solid var(--zw-border, #ddd); border-radius:var(--zw-radius, 14px); overflow:hidden; box-shadow:var(--zw-shadow, 0 6px 24px rgba(0,0,0,.08)); }
+      .zw-topbar{ display:flex; align-items:center; justify-content:space-between; gap:10px; padding:10px 12px; background:var(--zw-bar, #f7f7f7); border-bottom:1px solid var(--zw-divider, #e0e0e0); flex-wrap:wrap; }
+      .zw-root > .zw-topbar{ border:1px solid var(--zw-border, #ddd); border-radius:var(--zw-radius, 14px); }
       .zw-title{ font-weight:700; letter-spacing:.2px; }
       .zw-actions{ display:flex; gap:8px; flex-wrap:wrap; align-items:center; }
-      .zw-btn{ border:1px solid #cfcfcf; background:#fff; padding:8px 10px; border-radius:10px; cursor:pointer; font-weight:600; user-select:none; }
+      .zw-btn{ border:1px solid var(--zw-control-border, #cfcfcf); background:var(--zw-surface, #fff); color:inherit; padding:8px 10px; border-radius:var(--zw-radius-btn, 10px); cursor:pointer; font-weight:600; user-select:none; }
       .zw-btn:hover{ filter:brightness(.98); }
       .zw-btn:disabled{ opacity:.55; cursor:not-allowed; }
+      .zw-btn:focus-visible, .zw-del:focus-visible, .zw-card:focus-visible{ outline:3px solid var(--zw-accent, #1a73e8); outline-offset:2px; }
+      .zw-sr{ position:absolute; width:1px; height:1px; margin:-1px; padding:0; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; border:0; }
       .zw-btn-file{ display:inline-flex; align-items:center; }
-      .zw-chip{ display:inline-flex; align-items:center; border:1px solid #d9d9d9; background:#fff; padding:6px 10px; border-radius:999px; font-weight:700; font-size:12px; color:#444; }
-      .zw-map{ background:#cfcfcf; }
-      .zw-hint{ padding:10px 12px; font-size:13px; color:#555; background:#f7f7f7; border-top:1px solid #e0e0e0; justify-content: space-between; display: flex;}
-      .zw-hint.warn{ color:#7a4b00; }
-      .zw-grid-wrap{ margin-top:12px; background:#efefef; border:1px solid #ddd; border-radius:14px; padding:12px; }
+      .zw-select{ font:inherit; font-weight:600; }
+      .zw-chip{ display:inline-flex; align-items:center; border:1px solid var(--zw-control-border, #d9d9d9); background:var(--zw-surface, #fff); padding:6px 10px; border-radius:999px; font-weight:700; font-size:12px; color:var(--zw-text-muted, #444); }
+      .zw-map{ background:var(--zw-map-bg, #cfcfcf); }
+      .zw-hintbar{ display:flex; align-items:center; background:var(--zw-bar, #f7f7f7); border-top:1px solid var(--zw-divider, #e0e0e0); }
+      .zw-hint{ flex:1; padding:10px 12px; font-size:13px; color:var(--zw-text-muted, #555); justify-content: space-between; display: flex;}
+      .zw-hint.warn{ color:var(--zw-warn, #7a4b00); }
+      .zw-issues{ margin:4px 0 0; padding-left:18px; }
+      .zw-status{ padding:4px 12px; font-size:12px; color:var(--zw-success, #2f6b2f); white-space:nowrap; }
+      .zw-status.warn{ color:var(--zw-danger, #a12a2a); }
+      .zw-grid-wrap{ background:var(--zw-bg, #efefef); border:1px solid var(--zw-border, #ddd); border-radius:var(--zw-radius, 14px); padding:12px; }
       .zw-grid-title{ font-weight:700; margin-bottom:10px; }
-      .zw-grid{ display:grid; grid-template-columns:repeat(4, minmax(0,1fr)); gap:10px; }
-      .zw-card{ background:#fff; border:1px solid #e0e0e0; border-radius:12px; overflow:hidden; box-shadow:0 6px 18px rgba(0,0,0,.06); cursor:pointer; }
-      .zw-mini{ height:120px; background:#d9d9d9; }
-      .zw-cardbar{ display:flex; justify-content:space-between; align-items:center; gap:8px; padding:8px 10px; font-size:12px; color:#444; border-top:1px solid #eee; }
-      .zw-badge{ font-weight:700; background:#f2f2f2; border:1px solid #e6e6e6; padding:4px 8px; border-radius:999px; white-space:nowrap; }
-      .zw-del{ border:1px solid #e6e6e6; background:#fff; padding:5px 8px; border-radius:10px; cursor:pointer; font-weight:900; line-height:1; }
-      .zw-del:hover{ background:#fafafa; }
-      .zw-empty{ color:#666; padding:10px 4px; }
-      .zw-footer{ margin-top:12px; display:flex; justify-content:flex-end; }
+      .zw-grid{ display:grid; grid-template-columns:repeat(var(--zw-grid-columns, 4), minmax(0,1fr)); gap:10px; }
+      .zw-card{ background:var(--zw-surface, #fff); border:1px solid var(--zw-divider, #e0e0e0); border-radius:var(--zw-radius-card, 12px); overflow:hidden; box-shadow:var(--zw-card-shadow, 0 6px 18px rgba(0,0,0,.06)); cursor:pointer; }
+      .zw-mini{ height:var(--zw-mini-height, 120px); background:var(--zw-map-bg, #d9d9d9); }
+      .zw-thumb{ background:var(--zw-bar, #f4f4f4); }
+      .zw-thumb svg, .zw-thumb canvas{ display:block; width:100%; height:100%; }
+      .zw-cardbar{ display:flex; justify-content:space-between; align-items:center; gap:8px; padding:8px 10px; font-size:12px; border-top:1px solid var(--zw-divider, #eee); }
+      .zw-badge{ font-weight:700; background:var(--zw-bar, #f2f2f2); border:1px solid var(--zw-divider, #e6e6e6); padding:4px 8px; border-radius:999px; white-space:nowrap; }
+      .zw-name{ flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; font-weight:600; }
+      .zw-cardbtns{ display:flex; gap:4px; }
+      .zw-stats{ padding:0 10px 6px; font-size:11px; color:var(--zw-text-muted, #666); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+      .leaflet-tooltip .zw-stats{ padding:0; }
+      .zw-desc{ padding:0 10px 8px; font-size:12px; color:var(--zw-text-muted, #666); overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      .zw-card-extra{ padding:0 10px 8px; font-size:12px; }
+      .zw-meta{ display:flex; flex-direction:column; gap:6px; padding:8px 10px 10px; border-top:1px solid var(--zw-divider, #eee); font-size:12px; cursor:default; }
+      .zw-meta label{ display:flex; flex-direction:column; gap:2px; }
+      .zw-input{ font:inherit; color:inherit; background:var(--zw-surface, #fff); border:1px solid var(--zw-control-border, #d9d9d9); border-radius:8px; padding:4px 6px; }
+      .zw-input[type=color]{ padding:0; height:26px; width:100%; }
+      .zw-meta-actions{ display:flex; gap:6px; }
+      .zw-meta-actions .zw-btn{ flex:1; padding:6px 8px; }
+      .zw-del{ border:1px solid var(--zw-divider, #e6e6e6); background:var(--zw-surface, #fff); color:inherit; padding:5px 8px; border-radius:var(--zw-radius-btn, 10px); cursor:pointer; font-weight:900; line-height:1; }
+      .zw-del:hover{ background:var(--zw-surface-hover, #fafafa); }
+      .zw-empty{ color:var(--zw-text-muted, #666); padding:10px 4px; }
+      .zw-footer{ display:flex; justify-content:flex-end; }
       .zw-btn-wide{ width:100%; }
-      .zw-draw-hidden .leaflet-draw{ display:none !important; }
+      .zw-draw-hidden .leaflet-draw-section:first-child{ display:none !important; }
+      .zw-search{ background:var(--zw-surface, #fff); color:var(--zw-text, #333); width:260px; max-width:60vw; font-size:13px; }
+      .zw-search-form{ display:flex; margin:0; }
+      .zw-search-input{ flex:1; min-width:0; font:inherit; color:inherit; border:0; padding:6px 8px; outline:none; background:transparent; }
+      .zw-search-btn{ border:0; border-left:1px solid var(--zw-border, #ddd); background:var(--zw-surface, #fff); color:inherit; padding:0 10px; cursor:pointer; font-size:15px; }
+      .zw-search-results{ border-top:1px solid var(--zw-border, #ddd); max-height:220px; overflow:auto; }
+      .zw-search-item{ display:block; width:100%; text-align:left; font:inherit; font-size:12px; color:inherit; border:0; border-bottom:1px solid var(--zw-divider, #f0f0f0); background:var(--zw-surface, #fff); padding:6px 8px; cursor:pointer; }
+      .zw-search-item:hover{ background:var(--zw-surface-hover, #f5f5f5); }
+      .zw-search-note{ padding:6px 8px; font-size:12px; color:var(--zw-text-muted, #666); }
+      .zw-search-note.warn{ color:var(--zw-danger, #a12a2a); }
+      .zw-search-popup .zw-btn{ margin-top:6px; padding:5px 8px; font-size:12px; }
+      ${darkLeaflet("dark")}
+      @media (prefers-color-scheme: dark){ ${darkLeaflet("auto")} }
+      .zw-dialog-backdrop{ position:absolute; inset:0; z-index:1100; display:flex; align-items:flex-start; justify-content:center; padding:40px 14px; background:var(--zw-backdrop, rgba(0,0,0,.25)); }
+      .zw-dialog{ background:var(--zw-surface, #fff); border:1px solid var(--zw-border, #ddd); border-radius:var(--zw-radius, 14px); box-shadow:0 12px 36px rgba(0,0,0,.2); width:440px; max-width:100%; max-height:100%; overflow:auto; padding:14px; font-size:13px; color:var(--zw-text, #333); }
+      .zw-dialog-title{ font-weight:700; font-size:15px; margin-bottom:4px; }
+      .zw-dialog-file{ font-weight:400; color:var(--zw-text-muted, #666); font-size:12px; }
+      .zw-dialog-sub{ color:var(--zw-text-muted, #666); font-size:12px; margin-bottom:10px; }
+      .zw-import-modes{ display:flex; flex-direction:column; gap:4px; padding:8px 10px; background:var(--zw-bar, #f7f7f7); border:1px solid var(--zw-divider, #eee); border-radius:var(--zw-radius-btn, 10px); }
+      .zw-import-section{ margin-top:10px; }
+      .zw-import-list{ margin:4px 0 0; padding-left:18px; }
+      .zw-import-pick{ list-style:none; padding-left:0; max-height:180px; overflow:auto; }
+      .zw-import-swatch{ display:inline-block; width:10px; height:10px; border-radius:3px; margin-right:6px; vertical-align:-1px; }
+      .zw-import-limit{ margin-top:4px; color:var(--zw-warn, #7a4b00); }
+      .zw-import-selected{ margin-top:4px; font-size:12px; color:var(--zw-text-muted, #666); }
+      .zw-import-selected.warn{ color:var(--zw-danger, #a12a2a); font-weight:600; }
+      .zw-coords-label{ display:block; margin:6px 0 4px; font-weight:600; }
+      .zw-coords-input{ width:100%; box-sizing:border-box; font-family:ui-monospace,Menlo,Consolas,monospace; resize:vertical; }
+      .zw-coords-error{ color:var(--zw-danger, #a12a2a); min-height:1em; margin-top:4px; }
+      .zw-dialog-actions{ display:flex; gap:8px; justify-content:flex-end; margin-top:14px; }
       @media (max-width:920px){ .zw-grid{ grid-template-columns:repeat(2, minmax(0,1fr)); } }
       @media (max-width:520px){ .zw-grid{ grid-template-columns:1fr; } }
     `;
     document.head.appendChild(style);
   }
 
+  // ============ Storage adapters: { load(): Promise<payload|null>, save(payload): Promise }
+  ZoneWidget.storage = {
+    local(key = "zonewidget:zones") {
+      return {
+        async load() {
+          const raw = global.localStorage.getItem(key);
+          return raw ? JSON.parse(raw) : null;
+        },
+        async save(payload) {
+          global.localStorage.setItem(key, JSON.stringify(payload));
+        }
+      };
+    },
+
+    indexedDB({ dbName = "zonewidget", storeName = "zones", key = "default" } = {}) {
+      let dbPromise = null;
+      const openDb = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+        const req = global.indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }));
+      const run = (mode, fn) => openDb().then(db => new Promise((resolve, reject) => {
+        const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }));
+      return {
+        async load() {
+          return (await run("readonly", s => s.get(key))) || null;
+        },
+        async save(payload) {
+          await run("readwrite", s => s.put(payload, key));
+        }
+      };
+    },
+
+    // GET url -> payload (404 = nothing saved yet), PUT url <- payload
+    rest(url, { headers = {}, credentials = "same-origin", fetch: fetchImpl } = {}) {
+      const doFetch = (...args) => (fetchImpl || global.fetch)(...args);
+      // headers may be a function, e.g. to attach a fresh token on every request
+      const resolveHeaders = async () => ((typeof headers === "function") ? await headers() : headers);
+      return {
+        async load() {
+          const res = await doFetch(url, { credentials, headers: { Accept: "application/json", ...(await resolveHeaders()) } });
+          if (res.status === 404) return null;
+          if (!res.ok) throw new Error(`GET ${url}: HTTP ${res.status}`);
+          return await res.json();
+        },
+        async save(payload) {
+          const res = await doFetch(url, {
+            method: "PUT",
+            credentials,
+            headers: { "Content-Type": "application/json", ...(await resolveHeaders()) },
+            body: JSON.stringify(payload)
+          });
+          if (!res.ok) throw new Error(`PUT ${url}: HTTP ${res.status}`);
+        }
+      };
+    }
+  };
+
+  // ============ Geocoders for option `search`: { search(query, { limit, locale, center, signal }) => Promise<[{ label, latlng, bounds? }]> }
+  ZoneWidget.geocoders = {
+    // Nominatim-compatible /search: the public server by default or your own instance (url).
+    // params go to the query string as is, e.g. { countrycodes: "kz", viewbox: "76.7,43.4,77.1,43.1" }
+    nominatim({ url = "https://nominatim.openstreetmap.org", params = {}, headers = {}, fetch: fetchImpl } = {}) {
+      const endpoint = /\/search\/?$/.test(url) ? url.replace(/\/$/, "") : url.replace(/\/+$/, "") + "/search";
+      return {
+        async search(query, { limit = 5, locale, signal } = {}) {
+          const qs = new URLSearchParams({ format: "jsonv2", q: query, limit: String(limit), ...params });
+          if (locale && !qs.has("accept-language")) qs.set("accept-language", locale);
+          const res = await (fetchImpl || global.fetch)(`${endpoint}?${qs}`, { headers: { Accept: "application/json", ...headers }, signal });
+          if (!res.ok) throw new Error(`GET ${endpoint}: HTTP ${res.status}`);
+          const list = await res.json();
+          return (Array.isArray(list) ? list : []).map((r) => {
+            const bb = (r.boundingbox || []).map(Number); // [south, north, west, east]
+            return {
+              label: r.display_name || r.name || "",
+              latlng: [Number(r.lat), Number(r.lon)],
+              bounds: (bb.length === 4 && bb.every(Number.isFinite)) ? [[bb[0], bb[2]], [bb[1], bb[3]]] : null,
+              raw: r
+            };
+          }).filter(r => Number.isFinite(r.latlng[0]) && Number.isFinite(r.latlng[1]));
+        }
+      };
+    }
+  };
+
+  // built-in dictionaries; add a key to register a locale for `locale` / api.setLocale
+  ZoneWidget.locales = LOCALES;
+
   // Expose
   global.ZoneWidget = ZoneWidget;
 })(window);
 
+// Kept for existing pages: the widget applies Leaflet.Draw texts itself (option `locale`, default "ru")
 function localizeLeafletDrawRU() {
-if (!window.L || !L.drawLocal) return;
-
-Object.assign(L.drawLocal.draw.toolbar.actions, {
-    title: 'Отменить рисование',
-    text: 'Отмена'
-});
-
-Object.assign(L.drawLocal.draw.toolbar.finish, {
-    title: 'Завершить',
-    text: 'Готово'
-});
-
-Object.assign(L.drawLocal.draw.toolbar.undo, {
-    title: 'Удалить последнюю точку',
-    text: 'Назад'
-});
-
-Object.assign(L.drawLocal.draw.toolbar.buttons, {
-    polygon: 'Нарисовать область',
-    rectangle: 'Выделить прямоугольником'
-});
-
-Object.assign(L.drawLocal.draw.handlers.polygon.tooltip, {
-    start: 'Начните рисовать область',
-    cont: 'Продолжайте рисовать',
-    end: 'Нажмите первую точку для завершения'
-});
-
-Object.assign(L.drawLocal.draw.handlers.rectangle.tooltip, {
-    start: 'Зажмите и выделите область'
-});
-
-Object.assign(L.drawLocal.draw.handlers.polygon, {
-    error: 'Контур пересекается сам с собой!'
-});
-
-Object.assign(L.drawLocal.edit.toolbar.actions.save, {
-    title: 'Сохранить изменения',
-    text: 'Сохранить'
-});
-
-Object.assign(L.drawLocal.edit.toolbar.actions.cancel, {
-    title: 'Отменить изменения',
-    text: 'Отмена'
-});
-
-Object.assign(L.drawLocal.edit.toolbar.actions.clearAll, {
-    title: 'Удалить всё',
-    text: 'Удалить всё'
-});
-
-Object.assign(L.drawLocal.edit.toolbar.buttons, {
-    edit: 'Редактировать зоны',
-    editDisabled: 'Нет зон',
-    remove: 'Удалить зоны',
-    removeDisabled: 'Нет зон'
-});
-
-Object.assign(L.drawLocal.edit.handlers.edit.tooltip, {
-    text: 'Перетаскивайте точки для изменения',
-    subtext: 'Нажмите отмену чтобы откатить'
-});
-
-Object.assign(L.drawLocal.edit.handlers.remove.tooltip, {
-    text: 'Нажмите на зону чтобы удалить'
-});
+if (!window.L || !L.drawLocal || !window.ZoneWidget) return;
+
+(function merge(target, src) {
+    Object.keys(src).forEach((k) => {
+        if (src[k] && typeof src[k] === "object") merge(target[k] = target[k] || {}, src[k]);
+        else target[k] = src[k];
+    });
+})(L.drawLocal, ZoneWidget.locales.ru.draw);
 }
\ No newline at end of file
@@ -1,9 +1,11 @@
 /*!
  * ZoneWidgetRender v1.0.0
  * View-only map renderer for ZoneWidget-exported JSON (Leaflet + OSM)
+ * Needs zw-core.js (loaded automatically from the same folder)
  * Usage:
  *   ZoneMapViewer.mount({ el: "#map", jsonUrl: "/zones.json" })
  *   ZoneMapViewer.mount({ el: "mapId", data: exportedJsonObject })
+ *   ZoneMapViewer.mount({ el: "#map", data, options: { popup: "<b>{name}</b> {properties.price} ₸", legend: true } })
  */
 (function (global) {
   "use strict";
@@ -13,11 +15,57 @@
     zoom: 12,
     fitToZones: true,
     padding: [30, 30],
+    // базовые слои: url | { name, url, attribution, maxZoom } | [...]; false = без подложки.
+    // Если не задано - один слой из tileUrl/tileMaxZoom
+    tiles: undefined,
     tileUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
     tileMaxZoom: 19,
     attributionText: "Leaflet | © OpenStreetMap contributors | A01L",
-    // стиль зон
-    zoneStyle: { weight: 3, opacity: 1, fillOpacity: 0.15 }
+    // стиль зон (color зоны, если задан, перекрывает color стиля):
+    // объект стиля | (zone) => стиль | { ...базовый стиль, rules: [...] } (см. resolveZoneStyle)
+    zoneStyle: { weight: 3, opacity: 1, fillOpacity: 0.15 },
+    // тултип с name/description зоны
+    tooltips: true,
+    // добавить в тултип площадь и периметр
+    tooltipStats: false,
+    // единицы площади: "auto" | "m2" | "ha" | "km2"
+    units: "auto",
+    // подсветка зоны под курсором (дополняет стиль зоны); false - без подсветки
+    highlight: { weight: 5, fillOpacity: 0.35 },
+    // попап по клику: шаблон "{name} {description} {properties.key} {area} {perimeter} {id}" или (zone) => html | HTMLElement
+    popup: null,
+    // легенда со списком зон и переключателями видимости: true | { title, position }
+    legend: false,
+    // обработчики событий: { zoneclick, zonehover, update, refresherror, loading, loaded, error }
+    on: null,
+    // загрузка jsonUrl: параметры fetch (headers, credentials, ...) или (url) => параметры (в т.ч. async, для свежего токена)
+    fetchOptions: null,
+    // своя функция загрузки (url, init) => Promise<Response> вместо window.fetch
+    fetcher: null,
+    // таймаут запроса, мс (0 - без таймаута)
+    timeout: 15000,
+    // повторы при сетевой ошибке, таймауте, 5xx и 429; пауза удваивается с каждой попыткой
+    retries: 2,
+    retryDelay: 1000,
+    // оверлей загрузки и ошибки с кнопкой "Повторить": true | false | { loading, error, retry } (тексты)
+    overlay: true,
+    // язык легенды и оверлея: "ru" | "en" | "kk" | ключ ZoneMapViewer.locales; messages - свои тексты поверх него
+    locale: "ru",
+    messages: null,
+    // живое обновление: мс опроса jsonUrl | { interval, url } | { sse: url } | { ws: url } (см. refreshConfig)
+    refresh: null,
+    // Leaflet: папка с leaflet.js/leaflet.css на своём сервере вместо unpkg
+    assetBase: null,
+    // или { js, css } URL, или сам namespace Leaflet (сборщики)
+    leaflet: null
+  };
+
+  // UI texts (legend title, load overlay); unknown locales and missing keys fall back to ru.
+  // Register more: ZoneMapViewer.locales.xx = {...}
+  const LOCALES = {
+    ru: { legend: "Зоны", loading: "Загрузка зон…", error: "Не удалось загрузить зоны", retry: "Повторить" },
+    en: { legend: "Zones", loading: "Loading zones…", error: "Could not load the zones", retry: "Retry" },
+    kk: { legend: "Аймақтар", loading: "Аймақтар жүктелуде…", error: "Аймақтарды жүктеу мүмкін болмады", retry: "Қайталап көру" }
   };
 
   // ----- Public API
@@ -27,29 +75,35 @@
      * @param {Object} cfg
      * @param {string|HTMLElement} cfg.el   - selector "#id" / "id" / DOM element
      * @param {string} [cfg.jsonUrl]        - URL to JSON
-     * @param {Object|Array} [cfg.data]     - JSON object or zones array
+     * @param {Object|Array|Promise} [cfg.data] - JSON object or zones array (or a Promise of one)
      * @param {Object} [cfg.options]        - overrides
-     * @returns {Promise<{map:any, setData:Function, destroy:Function}>}
+     * @returns {Promise<{map:any, setData:Function, update:Function, patch:Function, refresh:Function, stopRefresh:Function, reload:Function, getZones:Function, getMeta:Function, findZonesAt:Function, contains:Function, setStyle:Function, setVisible:Function, on:Function, off:Function, destroy:Function}>}
      */
     async mount(cfg) {
       const el = resolveEl(cfg && cfg.el);
       if (!el) throw new Error("ZoneMapViewer: target element not found");
 
       const options = { ...DEFAULTS, ...(cfg.options || {}) };
+      const texts = { ...LOCALES.ru, ...(LOCALES[options.locale] || {}), ...(options.messages || {}) };
+
+      // what the host gave us, put back when mount fails after the map is created
+      const original = { className: el.className, style: el.getAttribute("style") };
 
       // ensure element fills parent
       ensureFillParent(el);
 
-      // load Leaflet
-      await ensureLeaflet();
+      // load zw-core, then Leaflet (unless already on the page)
+      const core = await ensureCore();
+      await core.ensureLeaflet({ leaflet: options.leaflet, assetBase: options.assetBase });
+      injectCSSOnce();
 
       // create map
       const map = L.map(el, { zoomControl: true }).setView(options.center, options.zoom);
 
-      L.tileLayer(options.tileUrl, {
-        maxZoom: options.tileMaxZoom,
-        attribution: "&copy; OpenStreetMap contributors"
-      }).addTo(map);
+      const tiles = (options.tiles !== undefined)
+        ? options.tiles
+        : { name: "OpenStreetMap", url: options.tileUrl, maxZoom: options.tileMaxZoom, attribution: "&copy; OpenStreetMap contributors" };
+      core.addBaseLayers(L, map, tiles);
 
       // attribution (custom)
       try {
@@ -58,40 +112,370 @@
       } catch (_) {}
 
       const fg = L.featureGroup().addTo(map);
+      let zones = [];
+      let entries = []; // parallel to zones: { layer, visible }
 
-      // renderer
-      const setData = (payload) => {
-        fg.clearLayers();
-        const zones = normalizeZones(payload);
+      // events: handlers get { type, zone, latlng, ... }
+      const listeners = {};
 
-        zones.forEach((z) => {
-          if (!z || !z.geojson) return;
-          try {
-            const layer = L.geoJSON(z.geojson, {
-              style: () => options.zoneStyle
-            });
-            fg.addLayer(layer);
-          } catch (_) {}
+      function on(type, handler) {
+        if (typeof handler !== "function") throw new Error("ZoneMapViewer: handler must be a function");
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => off(type, handler);
+      }
+
+      function off(type, handler) {
+        if (!listeners[type]) return;
+        listeners[type] = handler ? listeners[type].filter(h => h !== handler) : [];
+      }
+
+      function emit(type, detail) {
+        (listeners[type] || []).slice().forEach((h) => {
+          try { h({ type, ...detail }); } catch (err) { console.error(`ZoneMapViewer: "${type}" handler failed`, err); }
+        });
+      }
+
+      if (options.on) Object.keys(options.on).forEach(type => on(type, options.on[type]));
+
+      const publicZone = z => JSON.parse(JSON.stringify(z));
+      // full style (Leaflet path defaults filled in) so that restyling also clears keys set before
+      const styleOf = z => ({ ...PATH_DEFAULTS, ...resolveZoneStyle(options.zoneStyle, z) });
+
+      const legend = options.legend ? createLegend(options.legend) : null;
+
+      function createLegend(cfg) {
+        const conf = { title: texts.legend, position: "topright", ...(typeof cfg === "object" ? cfg : {}) };
+        const control = L.control({ position: conf.position });
+        control.onAdd = () => {
+          const div = L.DomUtil.create("div", "zmw-legend leaflet-bar");
+          L.DomEvent.disableClickPropagation(div);
+          L.DomEvent.disableScrollPropagation(div);
+          div.addEventListener("change", (e) => {
+            const i = Number(e.target.getAttribute("data-zone-index"));
+            if (zones[i]) setVisibleAt(i, e.target.checked);
+          });
+          return div;
+        };
+        control.title = conf.title;
+        control.addTo(map);
+        return control;
+      }
+
+      function renderLegend() {
+        if (!legend) return;
+        const items = zones.map((z, i) => {
+          const label = z.name || `#${i + 1}`;
+          return `<label class="zmw-legend-item" title="${escapeHtml(z.description || label)}">
+            <input type="checkbox" data-zone-index="${i}"${entries[i].visible ? " checked" : ""}>
+            <span class="zmw-swatch" style="border-color:${escapeHtml(styleOf(z).color || "#3388ff")};"></span>
+            <span>${escapeHtml(label)}</span>
+          </label>`;
+        }).join("");
+        legend.getContainer().innerHTML = `<div class="zmw-legend-title">${escapeHtml(legend.title)}</div>${items}`;
+      }
+
+      function setVisibleAt(i, visible) {
+        const entry = entries[i];
+        if (!entry || !entry.layer || entry.visible === !!visible) return;
+        entry.visible = !!visible;
+        if (entry.visible) fg.addLayer(entry.layer);
+        else fg.removeLayer(entry.layer);
+        const box = legend && legend.getContainer().querySelector(`[data-zone-index="${i}"]`);
+        if (box) box.checked = entry.visible;
+      }
+
+      function bindInteraction(layer, z) {
+        const latlngOf = e => (e.latlng ? [e.latlng.lat, e.latlng.lng] : null);
+        layer.on("mouseover", (e) => {
+          if (options.highlight) {
+            layer.setStyle({ ...styleOf(z), ...options.highlight });
+            layer.bringToFront();
+          }
+          emit("zonehover", { zone: publicZone(z), hovered: true, latlng: latlngOf(e), originalEvent: e.originalEvent });
         });
+        layer.on("mouseout", (e) => {
+          if (options.highlight) layer.setStyle(styleOf(z));
+          emit("zonehover", { zone: publicZone(z), hovered: false, latlng: latlngOf(e), originalEvent: e.originalEvent });
+        });
+        layer.on("click", (e) => {
+          emit("zoneclick", { zone: publicZone(z), latlng: latlngOf(e), originalEvent: e.originalEvent });
+        });
+        if (options.popup) {
+          layer.bindPopup(() => popupContent(options.popup, z, core, options.units));
+        }
+      }
+
+      const prepare = payload => normalizeZones(payload).map(z => ({ ...z, stats: z.geojson ? core.zoneStats(z.geojson) : null }));
+      const zoneKey = z => JSON.stringify(z);
+
+      // one zone -> its layer on fg; { layer: null } when the geometry can't be drawn
+      function buildEntry(z) {
+        const entry = { layer: null, visible: false, key: zoneKey(z) };
+        if (!z || !z.geojson) return entry;
+        try {
+          const layer = L.geoJSON(z.geojson, { style: () => styleOf(z) });
+          const stats = (options.tooltipStats && z.stats)
+            ? `<div>${core.formatArea(z.stats.area, options.units)} · ${core.formatLength(z.stats.perimeter)}</div>`
+            : "";
+          if (options.tooltips && (z.name || z.description || stats)) {
+            layer.bindTooltip(zoneTooltipHtml(z) + stats, { sticky: true });
+          }
+          bindInteraction(layer, z);
+          fg.addLayer(layer);
+          entry.layer = layer;
+          entry.visible = true;
+        } catch (_) {}
+        return entry;
+      }
+
+      // `meta` ({ limit, center, zoom }) of the last ZoneWidget document; arrays/FeatureCollections keep the previous one
+      let meta = null;
+
+      function keepMeta(payload) {
+        if (!payload || Array.isArray(payload) || !Array.isArray(payload.zones)) return;
+        meta = (payload.meta && typeof payload.meta === "object") ? JSON.parse(JSON.stringify(payload.meta)) : null;
+      }
+
+      // renderer (a rejected payload, e.g. a newer format version, throws before the map is touched)
+      const setData = (payload) => {
+        const next = prepare(payload);
+        keepMeta(payload);
+        fg.clearLayers();
+        zones = next;
+        entries = zones.map(buildEntry);
+        renderLegend();
 
         // fit
+        let fitted = false;
         if (options.fitToZones) {
           try {
             const b = fg.getBounds();
-            if (b && b.isValid()) map.fitBounds(b, { padding: options.padding });
+            if (b && b.isValid()) {
+              map.fitBounds(b, { padding: options.padding });
+              fitted = true;
+            }
           } catch (_) {}
         }
+        // otherwise the view saved in the document, unless the host set its own center
+        if (!fitted && meta && Array.isArray(meta.center) && !("center" in (cfg.options || {}))) {
+          map.setView(meta.center, Number(meta.zoom) || map.getZoom());
+        }
       };
 
-      // initial data
+      // Incremental update by zone id: unchanged zones keep their layers, no refit (live data).
+      // Zones without id can't be matched and are always redrawn.
+      function update(payload) {
+        const next = prepare(payload);
+        keepMeta(payload);
+        const prev = new Map();
+        zones.forEach((z, i) => {
+          if (z.id && !prev.has(z.id)) prev.set(z.id, entries[i]);
+          else if (entries[i].layer) fg.removeLayer(entries[i].layer);
+        });
+
+        const diff = { added: [], updated: [], removed: [] };
+        const nextEntries = next.map((z) => {
+          const old = z.id ? prev.get(z.id) : null;
+          if (z.id) prev.delete(z.id);
+          if (old && old.key === zoneKey(z)) return old;
+
+          if (old && old.layer) fg.removeLayer(old.layer);
+          if (z.id) (old ? diff.updated : diff.added).push(z.id);
+          const entry = buildEntry(z);
+          // keep a zone hidden in the legend hidden after its update
+          if (old && old.layer && !old.visible && entry.layer) {
+            fg.removeLayer(entry.layer);
+            entry.visible = false;
+          }
+          return entry;
+        });
+        prev.forEach((entry, id) => {
+          if (entry.layer) fg.removeLayer(entry.layer);
+          diff.removed.push(id);
+        });
+
+        zones = next;
+        entries = nextEntries;
+        renderLegend();
+        if (diff.added.length || diff.updated.length || diff.removed.length) emit("update", diff);
+        return diff;
+      }
+
+      // { upsert: [zones], remove: [ids] } or { op: "upsert", zone } / { op: "remove", id }
+      function patch(msg) {
+        const upsert = [].concat(msg.upsert || (msg.op === "upsert" && msg.zone) || []);
+        const remove = new Set([].concat(msg.remove || (msg.op === "remove" && msg.id) || []));
+        const list = zones.map(({ stats, ...z }) => z).filter(z => !remove.has(z.id));
+        upsert.forEach((z) => {
+          const i = z && z.id ? list.findIndex(x => x.id === z.id) : -1;
+          if (i >= 0) list[i] = z;
+          else list.push(z);
+        });
+        return update({ zones: list });
+      }
+
+      // pushed message: a patch or a whole payload (export JSON, zones array, FeatureCollection)
+      function receive(data) {
+        try {
+          const msg = (typeof data === "string") ? JSON.parse(data) : data;
+          if (msg && !Array.isArray(msg) && (msg.upsert || msg.remove || msg.op)) patch(msg);
+          else update(msg);
+        } catch (error) {
+          emit("refresherror", { error });
+        }
+      }
+
+      // ==== Loading jsonUrl: fetch options / custom fetcher, timeout, retries, overlay
+      const live = refreshConfig(options.refresh, cfg.jsonUrl);
+      const net = {
+        fetcher: (live && live.fetch) || options.fetcher,
+        fetchOptions: options.fetchOptions,
+        timeout: options.timeout,
+        retries: options.retries,
+        retryDelay: options.retryDelay
+      };
+      const overlay = options.overlay ? createOverlay(options.overlay) : null;
+      let validators = {};
+      let loadFailed = false;
+
+      function createOverlay(cfg) {
+        const labels = { ...texts, ...(typeof cfg === "object" ? cfg : {}) };
+        const div = L.DomUtil.create("div", "zmw-overlay", el);
+        div.hidden = true;
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+        div.addEventListener("click", (e) => {
+          if (e.target.closest("[data-zmw-retry]")) reload().catch(() => {});
+        });
+        return {
+          loading() {
+            div.className = "zmw-overlay zmw-overlay-loading";
+            div.innerHTML = `<div class="zmw-overlay-box"><span class="zmw-spinner"></span>${escapeHtml(labels.loading)}</div>`;
+            div.hidden = false;
+          },
+          error(err) {
+            div.className = "zmw-overlay zmw-overlay-error";
+            div.innerHTML = `<div class="zmw-overlay-box" role="alert">
+              <b>${escapeHtml(labels.error)}</b>
+              <div class="zmw-overlay-msg">${escapeHtml(err && err.message)}</div>
+              <button type="button" data-zmw-retry>${escapeHtml(labels.retry)}</button>
+            </div>`;
+            div.hidden = false;
+          },
+          hide() {
+            div.hidden = true;
+            div.innerHTML = "";
+          },
+          remove() {
+            div.remove();
+          }
+        };
+      }
+
+      // full load of jsonUrl (initial load, retry button, reload()): setData + refit.
+      // Emits loading -> loaded | error; rejects with the fetch error (err.code, err.status, err.attempts)
+      async function reload() {
+        const url = cfg.jsonUrl;
+        if (!url) return null;
+        emit("loading", { url });
+        if (overlay) overlay.loading();
+        try {
+          const res = await fetchJson(url, {}, net);
+          validators = res.validators;
+          setData(res.json);
+        } catch (error) {
+          loadFailed = true;
+          if (overlay) overlay.error(error);
+          emit("error", { url, error });
+          throw error;
+        }
+        loadFailed = false;
+        if (overlay) overlay.hide();
+        emit("loaded", { url, zones: zones.length });
+        return zones.length;
+      }
+
+      // ==== Live refresh: polling jsonUrl (ETag / Last-Modified), EventSource or WebSocket
+      let pollTimer = null;
+      let source = null;
+      let socket = null;
+      let stopped = false;
+
+      async function poll() {
+        const url = (live && live.url) || cfg.jsonUrl;
+        if (!url) return null;
+        // nothing shown yet after a failed load: a successful poll is a full load
+        if (loadFailed && url === cfg.jsonUrl) return reload().then(() => null);
+        const res = await fetchJson(url, validators, net);
+        if (res.notModified) return null;
+        validators = res.validators;
+        return update(res.json);
+      }
+
+      function schedulePoll() {
+        clearTimeout(pollTimer);
+        pollTimer = setTimeout(async () => {
+          // skip while the tab is hidden, the next tick catches up
+          if (!(global.document && document.hidden)) {
+            try { await poll(); } catch (error) { emit("refresherror", { error }); }
+          }
+          if (!stopped) schedulePoll();
+        }, live.interval);
+      }
+
+      function openSocket() {
+        const WS = live.WebSocket || global.WebSocket;
+        socket = new WS(live.ws);
+        socket.onmessage = e => receive(e.data);
+        socket.onerror = error => emit("refresherror", { error });
+        socket.onclose = () => {
+          socket = null;
+          if (!stopped) pollTimer = setTimeout(openSocket, live.reconnectDelay);
+        };
+      }
+
+      function startRefresh() {
+        if (!live) return;
+        if (live.sse) {
+          const ES = live.EventSource || global.EventSource;
+          source = new ES(live.sse, { withCredentials: !!live.withCredentials });
+          source.onmessage = e => receive(e.data);
+          source.onerror = error => emit("refresherror", { error });
+        } else if (live.ws) {
+          openSocket();
+        } else if (live.url && live.interval > 0) {
+          schedulePoll();
+        }
+      }
+
+      function stopRefresh() {
+        stopped = true;
+        clearTimeout(pollTimer);
+        if (source) source.close();
+        if (socket) socket.close();
+        source = null;
+        socket = null;
+      }
+
+      // initial data; bad cfg.data (rejected promise, newer format, ...) rejects mount and leaves no map behind
       if (cfg.data) {
-        setData(cfg.data);
+        try {
+          setData(await cfg.data);
+        } catch (err) {
+          try { map.remove(); } catch (_) {}
+          if (overlay) overlay.remove();
+          el.className = original.className;
+          if (original.style === null) el.removeAttribute("style");
+          else el.setAttribute("style", original.style);
+          throw err;
+        }
       } else if (cfg.jsonUrl) {
-        const json = await fetchJson(cfg.jsonUrl);
-        setData(json);
+        // a failed load leaves the error overlay with a retry button (and the "error" event) instead of rejecting
+        try { await reload(); } catch (_) {}
       } else {
         // no data: just an empty map
       }
+      startRefresh();
 
       // handle resize nicely if parent resizes later
       const ro = new ResizeObserver(() => {
@@ -102,9 +486,49 @@
       return {
         map,
         setData,
+        // incremental replace by id (no flicker, no refit); returns { added, updated, removed } ids
+        update,
+        // { upsert: [zones], remove: [ids] }
+        patch,
+        // poll jsonUrl now (ETag aware); resolves to the diff or null when not modified
+        refresh: () => poll(),
+        stopRefresh,
+        // full reload of jsonUrl with overlay and loading/loaded/error events; resolves to the zone count
+        reload,
+        // normalized zones with stats: { area (m²), perimeter (m), vertices }
+        getZones() {
+          return JSON.parse(JSON.stringify(zones));
+        },
+        // document `meta` ({ limit, center, zoom }) or null
+        getMeta() {
+          return meta ? JSON.parse(JSON.stringify(meta)) : null;
+        },
+        // zones containing the point ([lat, lng] or {lat, lng}), border included
+        findZonesAt(latlng) {
+          return JSON.parse(JSON.stringify(core.findZonesAt(zones, latlng)));
+        },
+        contains(id, latlng) {
+          const zone = zones.find(z => z.id === id);
+          return !!zone && core.zoneContains(zone, latlng);
+        },
+        // restyle all zones in place (object | function | rules, as options.zoneStyle)
+        setStyle(zoneStyle) {
+          options.zoneStyle = zoneStyle;
+          zones.forEach((z, i) => { if (entries[i].layer) entries[i].layer.setStyle(styleOf(z)); });
+          renderLegend();
+        },
+        // show/hide a zone (same as its legend checkbox)
+        setVisible(id, visible) {
+          zones.forEach((z, i) => { if (z.id === id) setVisibleAt(i, visible); });
+        },
+        on,
+        off,
         destroy() {
+          stopRefresh();
           try { ro.disconnect(); } catch (_) {}
           try { map.remove(); } catch (_) {}
+          if (overlay) overlay.remove();
+          Object.keys(listeners).forEach((type) => { delete listeners[type]; });
         }
       };
     }
@@ -140,62 +564,264 @@
     // - { zones: [...] }
     // - [...] (zones array)
     // - { version, exportedAt, zones: [...] } (ZoneWidget export)
-    const zones = Array.isArray(payload)
-      ? payload
-      : (payload && Array.isArray(payload.zones) ? payload.zones : []);
+    // - { type: "FeatureCollection", features: [...] } (plain GeoJSON, metadata in properties)
+    // Older export versions are migrated; a newer one throws (code "newer-version")
+    const core = global.ZoneWidgetCore;
+    const zones = core.zonesOf(core.migrateDocument(payload).document);
 
     // Normalize minimal shape: must contain geojson
-    return zones.map((z) => ({
-      id: z.id || null,
-      createdAt: z.createdAt || null,
-      geojson: z.geojson || null
-    }));
+    return zones.filter(z => z && typeof z === "object").map((z) => {
+      const shape = core.normalizeShape(z.shape);
+      return {
+        id: z.id || null,
+        createdAt: z.createdAt || null,
+        name: typeof z.name === "string" ? z.name : "",
+        color: typeof z.color === "string" ? z.color : null,
+        description: typeof z.description === "string" ? z.description : "",
+        properties: (z.properties && typeof z.properties === "object") ? z.properties : {},
+        geojson: z.geojson || null,
+        center: Array.isArray(z.center) ? z.center : null,
+        zoom: Number(z.zoom) || null,
+        ...(shape ? { shape } : {})
+      };
+    });
   }
 
-  async function fetchJson(url) {
-    const res = await fetch(url, { credentials: "same-origin" });
-    if (!res.ok) throw new Error(`ZoneMapViewer: failed to fetch JSON (${res.status})`);
-    return await res.json();
+  // Leaflet's own L.Path defaults
+  const PATH_DEFAULTS = { color: "#3388ff", weight: 3, opacity: 1, fillColor: null, fillOpacity: 0.2, dashArray: null };
+
+  /**
+   * Style of one zone from a `zoneStyle` spec:
+   * - style object: zone `color` overrides its color;
+   * - function (zone) => style, merged over the zone color (keys it leaves undefined are skipped);
+   * - object with `rules`: the rest is the base style, rules apply in order over the zone color:
+   *     { property: "type", categories: { express: "#e4572e", other: { dashArray: "4 4" } }, key: "color" }
+   *     { property: "orders", stops: [[0, "#fee5d9"], [50, "#fb6a4a"], [100, "#a50f15"]], key: "fillColor" }
+   *     { property: "active", equals: false, style: { dashArray: "6 4", opacity: 0.6 } }
+   *     { test: (zone) => boolean, style: {...} }
+   *   `property` is looked up in zone.properties (dotted path), then on the zone itself (name, id, ...);
+   *   plain values in categories/stops are set on `key` (default "color"), objects are merged as styles.
+   * @param {Object|Function} spec
+   * @param {Object} z - normalized zone
+   * @returns {Object} Leaflet path style
+   */
+  function resolveZoneStyle(spec, z) {
+    const own = z.color ? { color: z.color } : {};
+    if (typeof spec === "function") return { ...own, ...definedKeys(spec(JSON.parse(JSON.stringify(z)))) };
+    const { rules, ...base } = spec || {};
+    let style = { ...base, ...own };
+    (Array.isArray(rules) ? rules : []).forEach((rule) => {
+      style = { ...style, ...ruleStyle(rule, z) };
+    });
+    return style;
   }
 
-  // ----- Leaflet loader (CDN) - loaded once
-  async function ensureLeaflet() {
-    if (global.L && global.L.map) return;
+  // keys a style function left undefined fall back to the zone color / Leaflet defaults
+  function definedKeys(style) {
+    return Object.fromEntries(Object.entries(style || {}).filter(([, v]) => v !== undefined));
+  }
 
-    await loadCSSOnce("https://unpkg.com/leaflet@1.9.4/dist/leaflet.css", "zmw_leaflet_css");
-    await loadScriptOnce("https://unpkg.com/leaflet@1.9.4/dist/leaflet.js", "zmw_leaflet_js");
+  function ruleStyle(rule, z) {
+    if (!rule || typeof rule !== "object") return {};
+    const asStyle = v => ((v && typeof v === "object") ? v : (v == null ? {} : { [rule.key || "color"]: v }));
+    if (typeof rule.test === "function") return rule.test(z) ? asStyle(rule.style) : {};
 
-    if (!(global.L && global.L.map)) {
-      throw new Error("ZoneMapViewer: Leaflet failed to load");
+    const value = zoneValue(z, rule.property);
+    if (rule.categories) {
+      const hit = (value != null && Object.prototype.hasOwnProperty.call(rule.categories, String(value)));
+      return asStyle(hit ? rule.categories[String(value)] : rule.default);
+    }
+    if (Array.isArray(rule.stops)) {
+      const n = Number(value);
+      if (value == null || value === "" || !Number.isFinite(n)) return asStyle(rule.default);
+      // last stop whose threshold is <= value
+      const stop = rule.stops.filter(st => Array.isArray(st) && n >= st[0]).pop();
+      return asStyle(stop ? stop[1] : rule.default);
     }
+    if ("equals" in rule) return (value === rule.equals) ? asStyle(rule.style) : {};
+    if (Array.isArray(rule.in)) return rule.in.includes(value) ? asStyle(rule.style) : {};
+    return {};
+  }
+
+  function zoneValue(z, path) {
+    if (!path) return undefined;
+    const keys = String(path).split(".");
+    const fromProps = keys.reduce((o, k) => (o == null ? o : o[k]), z.properties);
+    return (fromProps !== undefined) ? fromProps : keys.reduce((o, k) => (o == null ? o : o[k]), z);
   }
 
-  function loadCSSOnce(href, id) {
-    return new Promise((resolve) => {
-      if (document.getElementById(id)) return resolve();
-      const link = document.createElement("link");
-      link.id = id;
-      link.rel = "stylesheet";
-      link.href = href;
-      link.onload = () => resolve();
-      link.onerror = () => resolve(); // soft-fail
-      document.head.appendChild(link);
+  // popup: template string with {name}, {description}, {id}, {color}, {area}, {perimeter}, {properties.key}
+  // (values are escaped), or a function (zone) => html string | HTMLElement
+  function popupContent(popup, z, core, units) {
+    if (typeof popup === "function") return popup(JSON.parse(JSON.stringify(z)));
+    const values = {
+      id: z.id,
+      name: z.name,
+      description: z.description,
+      color: z.color,
+      area: z.stats ? core.formatArea(z.stats.area, units) : "",
+      perimeter: z.stats ? core.formatLength(z.stats.perimeter) : ""
+    };
+    return String(popup).replace(/\{([^{}]+)\}/g, (m, key) => {
+      const path = key.trim();
+      const v = path.startsWith("properties.")
+        ? path.slice(11).split(".").reduce((o, k) => (o == null ? o : o[k]), z.properties)
+        : values[path];
+      return escapeHtml(v == null ? "" : (typeof v === "object" ? JSON.stringify(v) : v));
     });
   }
 
-  function loadScriptOnce(src, id) {
+  function zoneTooltipHtml(z) {
+    const title = z.name ? `<b>${escapeHtml(z.name)}</b>` : "";
+    const desc = z.description ? `<div>${escapeHtml(z.description)}</div>` : "";
+    return title + desc;
+  }
+
+  function escapeHtml(v) {
+    return String(v == null ? "" : v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  // conditional GET: validators { etag, lastModified } from the previous response; 304 -> { notModified }.
+  // net: { fetcher, fetchOptions, timeout, retries, retryDelay } (see DEFAULTS)
+  async function fetchJson(url, validators = {}, net = {}) {
+    const retries = Math.max(0, net.retries || 0);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchOnce(url, validators, net);
+      } catch (err) {
+        err.attempts = attempt + 1;
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        await sleep((net.retryDelay || 0) * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  async function fetchOnce(url, validators, net) {
+    const base = (typeof net.fetchOptions === "function") ? await net.fetchOptions(url) : net.fetchOptions;
+    const init = { credentials: "same-origin", ...(base || {}) };
+    const headers = { ...plainHeaders(init.headers) };
+    if (validators.etag) headers["If-None-Match"] = validators.etag;
+    if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+    init.headers = headers;
+
+    // timeout via AbortController; an outer fetchOptions.signal still aborts the request
+    const ctrl = (net.timeout > 0 && global.AbortController) ? new AbortController() : null;
+    let timer = null;
+    let timedOut = false;
+    if (ctrl) {
+      if (init.signal) init.signal.addEventListener("abort", () => ctrl.abort());
+      init.signal = ctrl.signal;
+      timer = setTimeout(() => { timedOut = true; ctrl.abort(); }, net.timeout);
+    }
+
+    try {
+      let res;
+      try {
+        res = await (net.fetcher || global.fetch)(url, init);
+      } catch (cause) {
+        if (timedOut) throw fetchError("timeout", `ZoneMapViewer: request timed out after ${net.timeout} ms`);
+        const err = fetchError("network", `ZoneMapViewer: failed to fetch JSON (${(cause && cause.message) || cause})`);
+        err.cause = cause;
+        throw err;
+      }
+      if (res.status === 304) return { notModified: true, validators };
+      if (!res.ok) {
+        const err = fetchError("http", `ZoneMapViewer: failed to fetch JSON (${res.status})`);
+        err.status = res.status;
+        throw err;
+      }
+      let json;
+      try {
+        json = await res.json();
+      } catch (cause) {
+        if (timedOut) throw fetchError("timeout", `ZoneMapViewer: request timed out after ${net.timeout} ms`);
+        const err = fetchError("parse", "ZoneMapViewer: response is not valid JSON");
+        err.cause = cause;
+        throw err;
+      }
+      const header = name => (res.headers && res.headers.get) ? res.headers.get(name) : null;
+      return { json, validators: { etag: header("ETag"), lastModified: header("Last-Modified") } };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // err.code: "network" | "timeout" | "http" (+ err.status) | "parse"
+  function fetchError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  // network errors, timeouts, 5xx and 429 are worth another try; other 4xx and bad JSON are not
+  function isRetryable(err) {
+    if (err.code === "network" || err.code === "timeout") return true;
+    return err.code === "http" && (err.status >= 500 || err.status === 429);
+  }
+
+  function plainHeaders(h) {
+    if (!h) return {};
+    if (typeof h.forEach === "function" && !Array.isArray(h)) {
+      const out = {};
+      h.forEach((value, key) => { out[key] = value; });
+      return out;
+    }
+    return Array.isArray(h) ? Object.fromEntries(h) : h;
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // refresh: ms | { interval, url, sse, ws, reconnectDelay, withCredentials, fetch, EventSource, WebSocket }
+  function refreshConfig(refresh, jsonUrl) {
+    if (!refresh) return null;
+    const conf = (typeof refresh === "number") ? { interval: refresh } : refresh;
+    return { url: jsonUrl, interval: 30000, reconnectDelay: 3000, ...conf };
+  }
+
+  // zw-core.js (shared helpers + Leaflet loader) is expected next to this script unless already included by the page
+  const CORE_SRC = ((document.currentScript && document.currentScript.src) || "").replace(/[^/?#]*([?#].*)?$/, "") + "zw-core.js";
+
+  function ensureCore() {
     return new Promise((resolve, reject) => {
-      if (document.getElementById(id)) return resolve();
-      const s = document.createElement("script");
-      s.id = id;
-      s.src = src;
-      s.async = true;
-      s.onload = () => resolve();
-      s.onerror = () => reject(new Error("ZoneMapViewer: failed to load " + src));
-      document.head.appendChild(s);
+      if (global.ZoneWidgetCore) return resolve(global.ZoneWidgetCore);
+      let s = document.getElementById("zw_core_js");
+      if (!s) {
+        s = document.createElement("script");
+        s.id = "zw_core_js";
+        s.src = CORE_SRC;
+        s.async = true;
+        document.head.appendChild(s);
+      }
+      s.addEventListener("load", () => resolve(global.ZoneWidgetCore));
+      s.addEventListener("error", () => reject(new Error("ZoneMapViewer: failed to load " + CORE_SRC)));
     });
   }
 
+  function injectCSSOnce() {
+    if (document.getElementById("zmw_base_css")) return;
+    const style = document.createElement("style");
+    style.id = "zmw_base_css";
+    style.textContent = `
+      .zmw-legend{ background:#fff; padding:6px 8px; font:12px/1.5 system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif; color:#333; max-height:50vh; overflow:auto; }
+      .zmw-legend-title{ font-weight:700; margin-bottom:4px; }
+      .zmw-legend-item{ display:flex; align-items:center; gap:6px; cursor:pointer; white-space:nowrap; }
+      .zmw-swatch{ width:10px; height:10px; border:2px solid; border-radius:3px; background:rgba(0,0,0,.06); }
+      .zmw-overlay{ position:absolute; inset:0; z-index:1000; display:flex; align-items:center; justify-content:center; background:rgba(255,255,255,.55); font:13px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif; color:#333; }
+      .zmw-overlay[hidden]{ display:none; }
+      .zmw-overlay-box{ background:#fff; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,.2); padding:10px 14px; max-width:80%; text-align:center; }
+      .zmw-overlay-loading .zmw-overlay-box{ display:flex; align-items:center; gap:8px; }
+      .zmw-overlay-msg{ color:#888; font-size:12px; margin:4px 0 8px; word-break:break-word; }
+      .zmw-overlay button{ font:inherit; padding:4px 12px; border:1px solid #bbb; border-radius:6px; background:#f7f7f7; cursor:pointer; }
+      .zmw-spinner{ width:14px; height:14px; border:2px solid #ccc; border-top-color:#3388ff; border-radius:50%; animation:zmw-spin .8s linear infinite; }
+      @keyframes zmw-spin{ to{ transform:rotate(360deg); } }
+    `;
+    document.head.appendChild(style);
+  }
+
+  ZoneMapViewer.locales = LOCALES;
+
   // export global
   global.ZoneMapViewer = ZoneMapViewer;
 
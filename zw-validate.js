@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * zw-validate — check zone files server-side or in CI with the same rules as the widget import
+ * (format version + migrations, zones.schema.json, geometry, overlap policy). No dependencies.
+ * Usage:
+ *   node zw-validate.js zones.json [more.json ...] [--overlap allow|warn|forbid|clip] [--json]
+ *   node zw-validate.js --schema > zones.schema.json
+ * Exit code: 0 all files valid, 1 some file invalid, 2 usage error.
+ */
+"use strict";
+
+const fs = require("fs");
+const core = require("./zw-core.js");
+
+function main(argv) {
+  const files = [];
+  let overlap = "allow";
+  let json = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--schema") {
+      process.stdout.write(JSON.stringify(core.DOCUMENT_SCHEMA, null, 2) + "\n");
+      return 0;
+    }
+    if (arg === "--json") json = true;
+    else if (arg === "--overlap") overlap = argv[++i];
+    else if (arg === "-h" || arg === "--help") return usage(0);
+    else if (arg.startsWith("-")) return usage(2, `unknown option ${arg}`);
+    else files.push(arg);
+  }
+  if (!files.length) return usage(2, "no files given");
+  if (!core.OVERLAP_POLICIES.includes(overlap)) return usage(2, `--overlap must be one of ${core.OVERLAP_POLICIES.join(", ")}`);
+
+  const results = files.map(file => ({ file, ...check(file, overlap) }));
+  if (json) {
+    process.stdout.write(JSON.stringify(results.map(({ document, ...r }) => r), null, 2) + "\n");
+  } else {
+    results.forEach(print);
+  }
+  return results.every(r => r.valid) ? 0 : 1;
+}
+
+// any format the widget imports: ZoneWidget JSON, GeoJSON, KML, GPX (JSON is parsed as is to keep version/meta)
+function check(file, overlap) {
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    const payload = ["json", "geojson"].includes(core.detectFormat(text)) ? JSON.parse(text) : core.parseZones(text);
+    return core.validateDocument(payload, { overlap });
+  } catch (err) {
+    return { valid: false, version: null, migrated: false, errors: [{ path: "/", code: err.code || "read", message: err.message }], warnings: [] };
+  }
+}
+
+function print(r) {
+  const version = r.version ? ` (v${r.version}${r.migrated ? ` -> v${core.SCHEMA_VERSION}` : ""})` : "";
+  const zones = (r.document && r.document.zones) ? `, ${r.document.zones.length} zones` : "";
+  console.log(`${r.valid ? "OK  " : "FAIL"} ${r.file}${version}${zones}`);
+  r.errors.forEach(e => console.log(`  error   ${e.path} [${e.code}] ${e.message}`));
+  r.warnings.forEach(e => console.log(`  warning ${e.path} [${e.code}] ${e.message}`));
+}
+
+function usage(code, problem) {
+  if (problem) console.error(`zw-validate: ${problem}`);
+  console.error("usage: node zw-validate.js <file...> [--overlap allow|warn|forbid|clip] [--json]\n       node zw-validate.js --schema");
+  return code;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,18 @@
+/*!
+ * ZoneWidget ES module entry (npm / bundlers)
+ * Leaflet and Leaflet.Draw are imported as dependencies, so nothing is loaded from unpkg at runtime.
+ * Usage:
+ *   import "leaflet/dist/leaflet.css";
+ *   import "leaflet-draw/dist/leaflet.draw.css";
+ *   import { ZoneWidget, ZoneMapViewer, ZoneWidgetCore } from "zonewidget";
+ */
+import "leaflet"; // sets window.L
+import "leaflet-draw"; // extends window.L (L.Control.Draw)
+import "./zw-core.js"; // window.ZoneWidgetCore
+import "./zw-editor.js"; // window.ZoneWidget
+import "./zw-render.js"; // window.ZoneMapViewer
+
+export const ZoneWidgetCore = window.ZoneWidgetCore;
+export const ZoneWidget = window.ZoneWidget;
+export const ZoneMapViewer = window.ZoneMapViewer;
+export default ZoneWidget;